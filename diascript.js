@@ -49,6 +49,30 @@ function distance([x0, y0], [x1, y1]) {
 }
 
 
+/**
+ * Returns the array `[top, right, bottom, left]` given a number or an array
+ * of one to four numbers, following the CSS shorthand for padding and
+ * margins.
+ */
+function cssSides(value) {
+  if (!value) {
+    return [0, 0, 0, 0];
+  } else if (typeof(value) === 'number') {
+    return [value, value, value, value];
+  }
+  switch (value.length) {
+    case 1:
+      return [value[0], value[0], value[0], value[0]];
+    case 2:
+      return [value[0], value[1], value[0], value[1]];
+    case 3:
+      return [value[0], value[1], value[2], value[1]];
+    default:
+      return value.slice(0, 4);
+  }
+}
+
+
 /**
  * Returns an object with properties from `o` matching names in `ks`.
  */
@@ -64,961 +88,6686 @@ function select(o, ks) {
 }
 
 
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+
+/**
+ * Creates and returns an SVG element from the given pseudo element.
+ */
+function createSvgElement(psvg) {
+  const [ tag, attrs, ...children ] = psvg;
+  const el = document.createElementNS(SVG_NS, tag);
+  for (var k in attrs) {
+    el.setAttribute(k, attrs[k]);
+  }
+  children.forEach(child =>
+    {
+      if (typeof(child) === 'string') {
+        const textNode = document.createTextNode(child);
+        el.appendChild(textNode);
+      } else {
+        appendSvgElement(el, child);
+      }
+    });
+  return el;
+}
+
+
 /**
- * Creates an SVG element from the given pseudo element and appends
- * it to the existing SVG element `parent`.  Ignores cases where
- * psvg is null or undefined, allowing us to avoid checks elsewhere
+ * Creates an SVG element from the given pseudo element, appends
+ * it to the existing SVG element `parent`, and returns it.  Ignores cases
+ * where psvg is null or undefined, allowing us to avoid checks elsewhere
  * in the code.
  */
 function appendSvgElement(parent, psvg) {
   if (psvg) {
-    const [ tag, attrs, ...children ] = psvg;
-    const el = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    const el = createSvgElement(psvg);
     parent.appendChild(el);
-    for (var k in attrs) {
+    return el;
+  }
+}
+
+
+/**
+ * Returns a copy of the pseudo element `psvg` for drawing a second time in
+ * the same document, leaving out definitions such as styles and clip paths,
+ * and `id` attributes, which would otherwise be duplicated.  The copy still
+ * refers to the original's definitions.  Returns null for a definition.
+ */
+function withoutDefinitions(psvg) {
+  if (!Array.isArray(psvg)) {
+    return psvg;
+  }
+  const [ tag, attrs, ...children ] = psvg;
+  if (UNDRAWN_ELEMENTS.includes(tag)) {
+    return null;
+  }
+  const copy = Object.assign({}, attrs);
+  delete copy.id;
+  return [tag, copy, ...children.map(withoutDefinitions)];
+}
+
+
+/**
+ * Updates the existing SVG element `el` to match the given pseudo element,
+ * which must have the same tag.  Only attributes and content that have
+ * changed are touched, and child elements are reused where their tags
+ * match.
+ */
+function patchSvgElement(el, psvg) {
+  const [ , attrs, ...children ] = psvg;
+
+  el.getAttributeNames().forEach(k =>
+    {
+      if (!(k in attrs)) {
+        el.removeAttribute(k);
+      }
+    });
+  for (var k in attrs) {
+    if (el.getAttribute(k) !== String(attrs[k])) {
       el.setAttribute(k, attrs[k]);
     }
-    children.forEach(child =>
-      {
-        if (typeof(child) === 'string') {
-          const textNode = document.createTextNode(child);
-          el.appendChild(textNode);
-        } else {
-          appendSvgElement(el, child);
-        }
-      });
   }
-}
 
+  const newChildren = children.filter(child => child);
+  const oldChildren = Array.from(el.childNodes);
+  newChildren.forEach((child, i) =>
+    {
+      const node = oldChildren[i];
+      if (typeof(child) === 'string') {
+        if (node && node.nodeType === Node.TEXT_NODE) {
+          if (node.data !== child) {
+            node.data = child;
+          }
+          return;
+        }
+        child = document.createTextNode(child);
+      } else if (node && node.tagName === child[0]) {
+        patchSvgElement(node, child);
+        return;
+      } else {
+        child = createSvgElement(child);
+      }
+      if (node) {
+        el.replaceChild(child, node);
+      } else {
+        el.appendChild(child);
+      }
+    });
+  oldChildren.slice(newChildren.length).forEach(node => el.removeChild(node));
+}
 
-//--- Diagram -----------------------------------------------------------------------------
 
-class Diagram {
+/**
+ * Escapes the characters in `s` that are special in XML text and
+ * attribute values.
+ */
+function escapeXml(s) {
+  return String(s).replace(/[<>&'"]/g, c =>
+    {
+      switch (c) {
+        case '<': return '&lt;';
+        case '>': return '&gt;';
+        case '&': return '&amp;';
+        case '\'': return '&apos;';
+        case '"': return '&quot;';
+      }
+    });
+}
 
 
-  constructor(shapes, lines) {
-    this.shapes = shapes;
-    this.lines = lines;
+/**
+ * Returns the XML markup for the given pseudo element.  Like
+ * `appendSvgElement`, returns an empty string if psvg is null or
+ * undefined.
+ */
+function svgString(psvg) {
+  if (!psvg) {
+    return '';
+  }
+  const [ tag, attrs, ...children ] = psvg;
+  var result = `<${tag}`;
+  for (var k in attrs) {
+    if (attrs[k] !== undefined && attrs[k] !== null) {
+      result += ` ${k}="${escapeXml(attrs[k])}"`;
+    }
+  }
+  const content = children.map(child =>
+    {
+      if (typeof(child) === 'string') {
+        return escapeXml(child);
+      } else {
+        return svgString(child);
+      }
+    }).join('');
+  if (content) {
+    return `${result}>${content}</${tag}>`;
+  } else {
+    return `${result}/>`;
   }
+}
 
 
-  renderInto(el) {
+//--- Bounds -----------------------------------------------------------------------------
 
-    this.el = el;
 
-    this.shapes.forEach(shape =>
-      {
-        if ((shape.x === undefined || shape.y === undefined) && shape['align-to'] === undefined) {
-          console.warn('Top-level shape requires x and y coordinates or an align_to property', shape);
-        }
-      });
+/**
+ * Text shapes, keyed by the `text` pseudo-elements they render, so that the
+ * size of rendered text can be found without measuring it again.
+ */
+const renderedText = new WeakMap();
 
-    this.shapes.forEach(shape =>
-      {
-        if (shape.x !== undefined) {
-          shape.layout();
-          shape.render(shape.x, shape.y).forEach(psvg => appendSvgElement(el, psvg));
-        }
-      });
 
-    this.shapes.forEach(shape =>
-      {
-        if (shape.x == undefined) {
-          const targetId = shape['align-to'];
-          const target = this.shapeById(targetId);
-          if (!target) {
-            console.warn(`Shape ${targetId} not found`, shape);
-          } else if (target.x === undefined) {
-            console.warn(`Shape ${targetId} has not yet been positioned`, shape);
-          } else {
-            shape.layout();
-            const dx = shape.dx || 0;
-            const dy = shape.dy || 0;
-            const x = target.x + target.width / 2 + dx - shape.width / 2;
-            const y = target.y + target.height / 2 + dy - shape.height / 2;
-            shape.render(x, y).forEach(psvg => appendSvgElement(el, psvg));
-          }
-        }
-      });
+/**
+ * Number of points used to approximate each curve or arc when finding the
+ * bounds of a path.
+ */
+const BOUNDS_SEGMENTS = 16;
 
-    // Problem with line rendering:
-    // Each line will have to find its `from` and `to` shapes by ID, which currently
-    // requires walking down from the top-level shapes, which would be slow for large diagrams.
-    // We could walk it once and index by id, but then we wouldn't have the absolute position
-    // of the shape.
-    //
-    // Perhaps shape.layout() should set the _absolute_ position when it lays out children
-    //
-    if (this.lines) {
-      this.lines.forEach(line =>
-        {
-          const paths = line.render(this);
-          if (paths) {
-            paths.forEach(psvg => appendSvgElement(el, psvg));
-          }
-        });
-    }
 
-    return this;
-  }
+/**
+ * SVG elements that are never drawn directly, so don't contribute to the
+ * bounds of a diagram.
+ */
+const UNDRAWN_ELEMENTS = ['clipPath', 'defs', 'marker', 'mask', 'style', 'title'];
 
 
-  shapeById(id) {
-    for (let i = 0; i < this.shapes.length; i++) {
-      const result = this.shapes[i].shapeById(id);
-      if (result) {
-        return result;
+/**
+ * Returns the transform matrix `[a, b, c, d, e, f]` that applies `m2` and
+ * then `m1`.
+ */
+function multiplyMatrices([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) {
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1
+  ];
+}
+
+
+/**
+ * Returns the matrix for an SVG `transform` attribute, which may be a list
+ * of `matrix`, `translate`, `scale`, and `rotate` functions.
+ */
+function parseTransform(transform) {
+  var result = [1, 0, 0, 1, 0, 0];
+  const re = /(\w+)\s*\(([^)]*)\)/g;
+  var match;
+  while ((match = re.exec(transform)) !== null) {
+    const args = match[2].split(/[\s,]+/).filter(arg => arg).map(Number);
+    var m;
+    switch (match[1]) {
+      case 'matrix':
+        m = args;
+        break;
+      case 'translate':
+        m = [1, 0, 0, 1, args[0], args[1] || 0];
+        break;
+      case 'scale':
+        m = [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0];
+        break;
+      case 'rotate': {
+        const a = args[0] * Math.PI / 180;
+        const [cx, cy] = [args[1] || 0, args[2] || 0];
+        m = multiplyMatrices([1, 0, 0, 1, cx, cy],
+          multiplyMatrices([Math.cos(a), Math.sin(a), -Math.sin(a), Math.cos(a), 0, 0], [1, 0, 0, 1, -cx, -cy]));
+        break;
       }
+      default:
+        console.warn(`Unsupported transform ${match[1]}`);
+        m = [1, 0, 0, 1, 0, 0];
     }
-    return null;
+    result = multiplyMatrices(result, m);
   }
+  return result;
+}
 
-  shrinkWrap() {
-    if (!this.el) {
-      console.warn('Please call renderInto before calling shrinkWrap');
-    } else if (this.shapes.length === 0) {
-      console.warn("No shapes, can't shrinkWrap");
-    } else {
-      const padding = 10;
-      const left = Math.max(0, Math.min(...this.shapes.map(shape => shape.x)));
-      const top = Math.max(0, Math.min(...this.shapes.map(shape => shape.y)));
-      const right = Math.max(...this.shapes.map(shape => shape.x + shape.width));
-      const bottom = Math.max(...this.shapes.map(shape => shape.y + shape.height));
-      const width = right - left + 2 * padding;
-      const height = bottom - top + 2 * padding;
-      this.el.setAttribute('width', width);
-      this.el.setAttribute('height', height);
-      this.el.setAttribute('viewBox', `${left - padding} ${top - padding} ${width} ${height}`);
-    }
-    return this;
-  }
 
+/**
+ * Returns points on the ellipse centered at `(cx, cy)` with radii `rx` and
+ * `ry`, rotated by `phi` radians, from angle `t0` to angle `t1`.
+ */
+function ellipsePoints(cx, cy, rx, ry, phi, t0, t1) {
+  const result = [];
+  for (let i = 0; i <= BOUNDS_SEGMENTS; i++) {
+    const t = t0 + (t1 - t0) * i / BOUNDS_SEGMENTS;
+    const [x, y] = [rx * Math.cos(t), ry * Math.sin(t)];
+    result.push([
+      cx + x * Math.cos(phi) - y * Math.sin(phi),
+      cy + x * Math.sin(phi) + y * Math.cos(phi)
+    ]);
+  }
+  return result;
 }
 
 
 /**
- * Base class for shapes and lines.
+ * Returns points on an SVG elliptical arc from `(x0, y0)` to `(x1, y1)`,
+ * converting it to center parameterization as described in the SVG
+ * specification.
  */
-class Graphic {
+function arcPoints(x0, y0, rx, ry, rotation, largeArc, sweep, x1, y1) {
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (rx === 0 || ry === 0) {
+    return [[x0, y0], [x1, y1]];
+  }
+  const phi = rotation * Math.PI / 180;
+  const [cos, sin] = [Math.cos(phi), Math.sin(phi)];
+  const x = cos * (x0 - x1) / 2 + sin * (y0 - y1) / 2;
+  const y = -sin * (x0 - x1) / 2 + cos * (y0 - y1) / 2;
+  const lambda = (x * x) / (rx * rx) + (y * y) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+  const numerator = rx * rx * ry * ry - rx * rx * y * y - ry * ry * x * x;
+  const denominator = rx * rx * y * y + ry * ry * x * x;
+  const sign = largeArc === sweep ? -1 : 1;
+  const k = sign * Math.sqrt(Math.max(0, numerator / denominator));
+  const [cxp, cyp] = [k * rx * y / ry, -k * ry * x / rx];
+  const cx = cos * cxp - sin * cyp + (x0 + x1) / 2;
+  const cy = sin * cxp + cos * cyp + (y0 + y1) / 2;
+  const angle = (ux, uy) => Math.atan2(uy, ux);
+  const t0 = angle((x - cxp) / rx, (y - cyp) / ry);
+  var dt = angle((-x - cxp) / rx, (-y - cyp) / ry) - t0;
+  if (sweep && dt < 0) {
+    dt += 2 * Math.PI;
+  } else if (!sweep && dt > 0) {
+    dt -= 2 * Math.PI;
+  }
+  return ellipsePoints(cx, cy, rx, ry, phi, t0, t0 + dt);
+}
 
-  /**
-   * Constructor.  Copies properties from `props` to `this`. Replaces
-   * underscores with dashes in property names so we can, for example, specify
-   * `stroke_width` in `props` and have it end up being `stroke-width` in
-   * `this.
-   */
-  constructor(props) {
-    for (const k in props) {
-      this[k.replace('_', '-')] = props[k];
+
+/**
+ * Returns points along the outline described by SVG path data `d`,
+ * including points along its curves and arcs.
+ */
+function pathPoints(d) {
+
+  const tokens = d.match(/[a-zA-Z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+  const points = [];
+  var x = 0, y = 0;
+  var startX = 0, startY = 0;
+  var control = null;
+  var command = null;
+  var i = 0;
+  const next = () => Number(tokens[i++]);
+
+  while (i < tokens.length) {
+    if (/[a-zA-Z]/.test(tokens[i])) {
+      command = tokens[i++];
+    } else if (command === 'M') {
+      command = 'L';
+    } else if (command === 'm') {
+      command = 'l';
+    }
+    const relative = command === command.toLowerCase();
+    const [ox, oy] = relative ? [x, y] : [0, 0];
+    const point = () => [ox + next(), oy + next()];
+    var lastControl = null;
+    switch (command.toUpperCase()) {
+      case 'M':
+        [x, y] = point();
+        [startX, startY] = [x, y];
+        points.push([x, y]);
+        break;
+      case 'L':
+      case 'T': {
+        const p = point();
+        if (command.toUpperCase() === 'T') {
+          const c = control ? [2 * x - control[0], 2 * y - control[1]] : [x, y];
+          points.push(...quadraticPoints([x, y], c, p));
+          lastControl = c;
+        }
+        [x, y] = p;
+        points.push([x, y]);
+        break;
+      }
+      case 'H':
+        x = (relative ? x : 0) + next();
+        points.push([x, y]);
+        break;
+      case 'V':
+        y = (relative ? y : 0) + next();
+        points.push([x, y]);
+        break;
+      case 'C':
+      case 'S': {
+        const c1 = command.toUpperCase() === 'S' ? (control ? [2 * x - control[0], 2 * y - control[1]] : [x, y]) : point();
+        const c2 = point();
+        const p = point();
+        points.push(...cubicPoints([x, y], c1, c2, p, BOUNDS_SEGMENTS));
+        lastControl = c2;
+        [x, y] = p;
+        break;
+      }
+      case 'Q': {
+        const c = point();
+        const p = point();
+        points.push(...quadraticPoints([x, y], c, p));
+        lastControl = c;
+        [x, y] = p;
+        break;
+      }
+      case 'A': {
+        const [rx, ry, rotation, largeArc, sweep] = [next(), next(), next(), next(), next()];
+        const p = point();
+        points.push(...arcPoints(x, y, rx, ry, rotation, largeArc, sweep, p[0], p[1]));
+        [x, y] = p;
+        break;
+      }
+      case 'Z':
+        [x, y] = [startX, startY];
+        break;
+      default:
+        console.warn(`Unsupported path command ${command}`);
+        return points;
     }
+    control = lastControl;
   }
+  return points;
+}
 
+
+/**
+ * Returns points along the quadratic Bézier curve from `p0` to `p2` with
+ * control point `p1`.
+ */
+function quadraticPoints(p0, p1, p2) {
+  const c1 = [p0[0] + 2 / 3 * (p1[0] - p0[0]), p0[1] + 2 / 3 * (p1[1] - p0[1])];
+  const c2 = [p2[0] + 2 / 3 * (p1[0] - p2[0]), p2[1] + 2 / 3 * (p1[1] - p2[1])];
+  return cubicPoints(p0, c1, c2, p2, BOUNDS_SEGMENTS);
 }
 
-//--- Shapes -----------------------------------------------------------------------------
+
+/**
+ * Returns the points, before any transform, that outline the pseudo-element
+ * `psvg`, not including its children.
+ */
+function elementPoints(psvg) {
+  const [tag, attrs] = psvg;
+  const n = k => Number(attrs[k]) || 0;
+  switch (tag) {
+    case 'rect':
+      return [[n('x'), n('y')], [n('x') + n('width'), n('y') + n('height')], [n('x') + n('width'), n('y')], [n('x'), n('y') + n('height')]];
+    case 'circle':
+      return ellipsePoints(n('cx'), n('cy'), n('r'), n('r'), 0, 0, 2 * Math.PI);
+    case 'ellipse':
+      return ellipsePoints(n('cx'), n('cy'), n('rx'), n('ry'), 0, 0, 2 * Math.PI);
+    case 'line':
+      return [[n('x1'), n('y1')], [n('x2'), n('y2')]];
+    case 'polyline':
+    case 'polygon': {
+      const values = String(attrs.points || '').split(/[\s,]+/).filter(v => v).map(Number);
+      const result = [];
+      for (let i = 0; i + 1 < values.length; i += 2) {
+        result.push([values[i], values[i + 1]]);
+      }
+      return result;
+    }
+    case 'path':
+      return pathPoints(String(attrs.d || ''));
+    case 'text': {
+      const text = renderedText.get(psvg);
+      if (text) {
+        return [[text.x, text.y], [text.x + text.width, text.y + text.height]];
+      }
+      return [[n('x'), n('y')]];
+    }
+    default:
+      return [];
+  }
+}
 
 
 /**
- * Base class for all shapes.  All shapes must implement two methods:
- * `layout()` and `render(x,y)`.
- *
- * `layout` calculates the size of the shape and sets the `height` and `width`
- * properties on `this` accordingly. Shapes that contain children will
- * typically call `layout` on their children, then set `dx` and `dy` on each
- * child to indicate the position of the child relative to this parent.
- *
- * `render(x,y)` saves its arguments in the `x` and `y` properties of `this`
- * and returns an array of SVG pseudo-elements that render the shape.  Shapes
- * with children should propagate the render call to each child using the
- * child's `dx` and `dy` properties set during `layout` and adding each child's
- * returned SVG pseudo-elements to its own `render` result.
- *
+ * Extends `bounds`, an object with `left`, `top`, `right`, and `bottom`
+ * properties, to include everything drawn by the pseudo-element `psvg` and
+ * its children.  `matrix` is the transform applied by its ancestors, and
+ * `stroke` an object with the `stroke` and `stroke-width` attributes it
+ * inherits.
  */
-class Shape extends Graphic {
+function extendBounds(bounds, psvg, matrix, stroke) {
 
-  constructor(props) {
-    super(props);
+  if (!Array.isArray(psvg)) {
+    return;
+  }
+  const [tag, attrs, ...children] = psvg;
+  if (UNDRAWN_ELEMENTS.includes(tag)) {
+    return;
   }
 
-  /**
-   * Returns an array of connection points for this shape.
-   *
-   * Each point is an array [x, y, nx, ny], where (nx, ny) forms a unit vector
-   * normal pointing away from the boundary of the shape.
-   *
-   * By default, assumes a rectangular shape and returns the midpoints of each
-   * side.
-   */
-  connectionPoints() {
-
-    const x0 = this.x;
-    const x1 = this.x + this.width / 2;
-    const x2 = this.x + this.width;
+  if (attrs.transform) {
+    matrix = multiplyMatrices(matrix, parseTransform(attrs.transform));
+  }
+  stroke = Object.assign({}, stroke, select(attrs, ['stroke', 'stroke-width']));
+  var strokeWidth = 0;
+  if (stroke.stroke !== undefined && stroke.stroke !== 'none') {
+    strokeWidth = stroke['stroke-width'] === undefined ? 1 : Number(stroke['stroke-width']);
+  }
 
-    const y0 = this.y;
-    const y1 = this.y + this.height / 2;
-    const y2 = this.y + this.height;
+  // Text isn't stroked, and its children are tspans within the same box.
 
-    return [
-      [x1, y0, 0, -1],
-      [x2, y1, 1, 0],
-      [x1, y2, 0, 1],
-      [x0, y1, -1, 0]
-    ];
+  const [a, b, c, d, e, f] = matrix;
+  const halfStroke = tag === 'text' ? 0 : strokeWidth / 2 * Math.sqrt(Math.abs(a * d - b * c));
+  elementPoints(psvg).forEach(([x, y]) =>
+    {
+      const tx = a * x + c * y + e;
+      const ty = b * x + d * y + f;
+      bounds.left = Math.min(bounds.left, tx - halfStroke);
+      bounds.top = Math.min(bounds.top, ty - halfStroke);
+      bounds.right = Math.max(bounds.right, tx + halfStroke);
+      bounds.bottom = Math.max(bounds.bottom, ty + halfStroke);
+    });
 
+  if (tag !== 'text') {
+    children.forEach(child => extendBounds(bounds, child, matrix, stroke));
   }
+}
 
-  /**
-   * Returns the shape with the given id, traversing into child shapes if
-   * required, or null.
-   */
-  shapeById(id) {
-    if (this.id === id) {
-      return this;
-    } else if (this.children) {
-      for (let i = 0; i < this.children.length; i++) {
-        const result = this.children[i].shapeById(id);
-        if (result) {
-          return result;
-        }
-      }
-      return null;
-    } else {
-      return null;
-    }
-  }
 
-}
+
+//--- Diagram -----------------------------------------------------------------------------
+
 
 /**
- * Text element.
+ * Properties that position a top-level shape relative to another shape,
+ * each giving the ID of the other shape.
  */
-class Text extends Shape {
+const RELATIONS = ['align-to', 'right-of', 'left-of', 'below', 'above'];
 
-  /**
-   * Creates a text element.  Text wrapping is not supported.  Instead, you
-   * can add multiple Text objects into a Vbox.
-   *
-   * @param {object} props
-   * @param {string} [props.fill=black] - Color with which to draw the text.
-   * @param {string} [props.font_weight=normal] - Font weight, e.g. 'bold'.
-   * @param {string} [props.font_size=16] - Font size in SVG units.
-   * @param {string} text - Text to render.
-   */
-  constructor(props, text) {
-    super(props);
-    this.text = text;
-    this.fill = this.fill || 'black';
-  }
 
+/**
+ * Properties that line up an edge of a top-level shape with the same edge
+ * of another shape.
+ */
+const EDGE_ALIGNMENTS = ['align-top', 'align-bottom', 'align-left', 'align-right'];
 
-  /**
-   * Returns the SVG attributes for this shape.
-   */
-  attrs() {
-    return select(this, ['x', 'y', 'fill', 'font-weight', 'font-size']);
+
+/**
+ * Returns true if `shape` is positioned relative to another shape.
+ */
+function isRelative(shape) {
+  return RELATIONS.some(k => shape[k] !== undefined);
+}
+
+
+/**
+ * Returns the ID of the shape named by the property `k` of `shape`, or
+ * undefined if there is none.  An edge alignment of `true` refers to the
+ * shape named by the first of the shape's relations.
+ */
+function relativeTargetId(shape, k) {
+  if (shape[k] === true) {
+    return RELATIONS.map(k => shape[k]).find(id => id !== undefined);
+  } else {
+    return shape[k] || undefined;
   }
+}
+
+
+/**
+ * Returns the IDs of all the shapes that `shape` is positioned relative to.
+ */
+function relativeTargetIds(shape) {
+  return RELATIONS.concat(EDGE_ALIGNMENTS)
+    .map(k => relativeTargetId(shape, k))
+    .filter(id => id !== undefined);
+}
+
+
+
+/**
+ * Number of diagrams created so far, used to give each its own id prefix.
+ */
+let diagramCount = 0;
+
+
+/**
+ * Distance in pixels a single pointer must move before a viewer starts
+ * panning, so that clicks still reach the shapes under the pointer.
+ */
+const PAN_THRESHOLD = 4;
+
+
+class Diagram {
 
 
   /**
-   * Returns the bounding box for this text, which is an object with `width`
-   * and `height` properties.
+   * Creates a diagram.
+   *
+   * Each top-level shape needs `x` and `y` coordinates, unless an automatic
+   * layout positions it, or it is positioned relative to other shapes with
+   * these properties, each giving the ID of another shape:
+   *
+   * `align_to` - Centers the shape on the other shape.
+   * `right_of`, `left_of`, `below`, `above` - Places the shape beside the
+   * other shape, `gap` units away, centered on it unless an edge is aligned.
+   * `align_top`, `align_bottom`, `align_left`, `align_right` - Lines up an
+   * edge of the shape with the same edge of the other shape. `true` means
+   * the shape named by the relation above.
    *
-   * Uses a hidden SVG element on the page to render and measure the text
-   * element.
+   * `dx` and `dy` then move the shape by the given amounts. Shapes may be
+   * positioned relative to shapes that are themselves positioned relatively,
+   * in any order, but not in a cycle.
+   *
+   * @param {object[]} shapes - Top-level shapes.
+   * @param {object[]} [lines] - Lines joining the shapes.
+   * @param {object} [options]
+   * @param {string} [options.direction=TB] - Direction in which lines flow in
+   * an automatic layout: 'TB' (top to bottom), 'BT', 'LR' (left to right),
+   * or 'RL'.
+   * @param {string} [options.id_prefix] - Prefix of the ids of elements such
+   * as clip paths that the diagram generates. By default, 'diascript-' and
+   * a number counting the diagrams created, so that diagrams on the same
+   * page don't share ids.
+   * @param {(boolean|string)} [options.highlight] - Whether to highlight a
+   * shape, and the lines joined to it, while the pointer is over it. May be
+   * the color to highlight them with.
+   * @param {string} [options.layout] - Automatic layout used to position
+   * top-level shapes that have neither `x`/`y` coordinates nor an `align_to`
+   * property:
+   * 'layered' - Arranges shapes in ranks so that lines flow in one
+   * direction, treating each line as an edge from its `from` shape to its
+   * `to` shape.
+   * 'force' - Simulates lines as springs pulling shapes together while shapes
+   * push each other apart. Shapes with `x`/`y` coordinates stay put.
+   * @param {number} [options.link_length=80] - Preferred space between shapes
+   * joined by a line in a force layout.
+   * @param {object} [options.measurer] - Text measurer used to lay out this
+   * diagram. By default, uses the measurer passed to `setMeasurer`.
+   * @param {number} [options.node_spacing=30] - Space between neighboring
+   * shapes in the same rank of a layered layout, and the minimum space
+   * between shapes in a force layout.
+   * @param {number} [options.rank_spacing=50] - Space between ranks of a
+   * layered layout.
+   * @param {number} [options.seed=1] - Seed for the random starting positions
+   * of a force layout. The same seed always gives the same layout.
+   * @param {boolean} [options.spread_lines=true] - Whether to spread out the
+   * ends of lines that meet the same side of a shape.
    */
-  bbox() {
-    var measureSvg = document.getElementById('measureSvg');
-    if (!measureSvg) {
-      measureSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-      measureSvg.setAttribute('id', 'measureSvg');
-      measureSvg.setAttribute('width', 0);
-      measureSvg.setAttribute('height', 0);
-      document.body.appendChild(measureSvg);
-    }
-    while (measureSvg.firstChild) {
-      measureSvg.removeChild(measureSvg.lastChild);
-    }
-    const textEl = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-    measureSvg.appendChild(textEl);
-    const attrs = this.attrs();
-    for (var k in attrs) {
-      textEl.setAttribute(k, attrs[k]);
-    }
-    textEl.setAttribute('x', 0);
-    textEl.setAttribute('y', 0);
-    const textNode = document.createTextNode(this.text);
-    textEl.appendChild(textNode);
-    return textEl.getBBox();
+  constructor(shapes, lines, options) {
+    this.shapes = shapes;
+    this.lines = lines;
+    this.options = options || {};
+    this.constraints = [];
+    this.idPrefix = `diascript-${++diagramCount}`;
   }
 
 
-  layout() {
-    const bbox = this.bbox();
-    this.width = bbox.width;
-    this.height = bbox.height;
+  /**
+   * Adds a constraint on the top-level shapes with the given IDs.  After the
+   * shapes are positioned, and before they are rendered, `solve` is called
+   * with the shapes and moves them by calling their `place` method.
+   */
+  constrain(ids, solve) {
+    this.constraints.push({ ids: ids, solve: solve });
+    return this;
   }
 
 
-  render(x, y) {
-    this.x = x;
-    this.y = y + this.height * 0.8;  // kludge to account for baseline
-    return [['text', this.attrs(), this.text]];
+  /**
+   * Moves the top-level shapes with the given IDs vertically so that their
+   * centers line up with the center of the first.  Returns this diagram.
+   */
+  sameRow(ids) {
+    return this.constrain(ids, ([first, ...rest]) =>
+      {
+        const cy = first.y + first.height / 2;
+        rest.forEach(shape => shape.place(shape.x, cy - shape.height / 2));
+      });
   }
 
-}
-
 
-/**
- * Base class for Vbox and Hbox.  Do not use directly.
- *
- * Vbox and Hbox implement distinct layout() functions
- * but the rest of the implementation is here.
- */
-class Box extends Shape {
+  /**
+   * Moves the top-level shapes with the given IDs horizontally so that their
+   * centers line up with the center of the first.  Returns this diagram.
+   */
+  sameColumn(ids) {
+    return this.constrain(ids, ([first, ...rest]) =>
+      {
+        const cx = first.x + first.width / 2;
+        rest.forEach(shape => shape.place(cx - shape.width / 2, shape.y));
+      });
+  }
 
 
   /**
-   * Creates a box shape.
+   * Spaces out the top-level shapes with the given IDs along an axis, in the
+   * order given.  The first shape stays put.  Returns this diagram.
    *
-   * @param {object} props
-   * @param {string} [props.align=center] - Horizontal alignment of content: 'left', 'center', 'right'.  Ignored unless `props.width` is set.
-   * @param {string} [props.fill=white] - Fill color for the shape.
-   * @param {number} [props.height] - Height of the box. By default, calculated from content and padding.
-   * @param {(number|number[])} [props.padding=0] - Padding inside the box, in SVG units.
-   * Padding specified as an array follows the CSS standard:
-   * 10 or [10] - Set all padding to 10.
-   * [10, 20] - Set vertical padding to 10 and horizontal padding to 20.
-   * [10, 20, 30] - Set top padding to 10, horizontal padding to 20, and bottom padding to 30.
-   * [10, 20, 30, 40] - Set top padding to 10, right padding to 20, bottom padding to 30, and left padding to 40.
-   * @param {string} [props.stroke=black] - Stroke color for the shape.
-   * @param {number} [props.stroke_width=1] - Stroke width for the shape.
-   * @param {number} [props.width] - Width of the box. By default, calculated from content and padding.
-   * @param {string} [props.valign=middle] - Vertical alignment of content: 'top', 'middle', 'bottom'.  Ignored unless `props.height` is set.
+   * @param {string[]} ids
+   * @param {object} [options]
+   * @param {string} [options.axis=x] - 'x' to space the shapes horizontally,
+   * or 'y' to space them vertically.
+   * @param {number} [options.spacing] - Space between each shape and the
+   * next. By default, the last shape also stays put and the shapes between
+   * are spaced evenly.
    */
-  constructor(props, ...children) {
-    super(props);
-    this.spacing = this.spacing || 0;
-    this.padding = this.padding || 0;
-    this.fill = this.fill || 'white';
-    this.stroke = this.stroke || 'black';
-    this['stroke-width'] = this['stroke-width'] || 0;
-    this.children = children.map(child =>
+  distribute(ids, options) {
+    const axis = (options && options.axis) || 'x';
+    const spacing = options && options.spacing;
+    if (axis !== 'x' && axis !== 'y') {
+      console.warn(`Unknown axis ${axis}`);
+    }
+    const size = axis === 'x' ? 'width' : 'height';
+    return this.constrain(ids, shapes =>
       {
-        if (typeof(child) === 'string') {
-          return new Text({}, child);
-        } else {
-          return child;
+        const first = shapes[0];
+        const last = shapes[shapes.length - 1];
+        var gap = spacing;
+        if (gap === undefined) {
+          const sizes = shapes.reduce((sum, shape) => sum + shape[size], 0);
+          gap = (last[axis] + last[size] - first[axis] - sizes) / (shapes.length - 1);
         }
+        var pos = first[axis] + first[size] + gap;
+        shapes.slice(1).forEach(shape =>
+          {
+            shape.place(axis === 'x' ? pos : shape.x, axis === 'x' ? shape.y : pos);
+            pos += shape[size] + gap;
+          });
       });
   }
 
-  attrs() {
-    const result = select(this, ['x', 'y', 'width', 'height', 'fill', 'rx', 'ry', 'stroke', 'stroke-dasharray', 'stroke-width']);
-    result.shapeRendering = 'geometricPrecision';
-    return result;
-  }
 
-  paddingNumber() {
-    if (!this.padding) {
-      return 0;
-    } else if (typeof(this.padding) === 'number') {
-      return this.padding;
-    } else {
-      return null;
+  /**
+   * Moves the top-level shapes with the given IDs so that one of their edges
+   * lines up with the same edge of the first.  Returns this diagram.
+   *
+   * @param {string[]} ids
+   * @param {object} options
+   * @param {string} options.edge - Edge to line up: 'top', 'bottom', 'left',
+   * or 'right'.
+   */
+  alignEdges(ids, options) {
+    const edge = options && options.edge;
+    if (!['top', 'bottom', 'left', 'right'].includes(edge)) {
+      console.warn(`Unknown edge ${edge}`);
     }
+    return this.constrain(ids, ([first, ...rest]) =>
+      {
+        rest.forEach(shape =>
+          {
+            switch (edge) {
+              case 'top':
+                shape.place(shape.x, first.y);
+                break;
+              case 'bottom':
+                shape.place(shape.x, first.y + first.height - shape.height);
+                break;
+              case 'left':
+                shape.place(first.x, shape.y);
+                break;
+              case 'right':
+                shape.place(first.x + first.width - shape.width, shape.y);
+                break;
+            }
+          });
+      });
   }
 
-  paddingTop() {
-    var padding = this.paddingNumber();
-    if (padding !== null) {
-      return padding;
-    } else {
-      return this.padding[0];
-    }
-  }
 
-  paddingRight() {
-    var padding = this.paddingNumber();
-    if (padding !== null) {
-      return padding;
-    } else if (this.padding.length > 1) {
-      return this.padding[1];
-    } else {
-      return this.padding[0];
+  /**
+   * Lays out and positions the shapes and lines of the diagram and returns
+   * the array of SVG pseudo-elements that draw it.  Does not require a DOM
+   * except where text must be measured.
+   */
+  render() {
+    const previousMeasurer = measurer;
+    const previousClipPaths = clipPaths;
+    if (this.options.measurer) {
+      measurer = this.options.measurer;
+    }
+    clipPaths = { prefix: this.options.id_prefix || this.idPrefix, count: 0 };
+    try {
+      this.shapes.forEach(shape => shape.resetLayout && shape.resetLayout());
+      (this.lines || []).forEach(line => line.resetLayout && line.resetLayout());
+      this.elements = this.renderElements();
+      this.renderedBounds = undefined;
+      this.shapes.forEach(shape => shape.recordLayout && shape.recordLayout());
+      (this.lines || []).forEach(line => line.recordLayout && line.recordLayout());
+      return this.elements;
+    } finally {
+      measurer = previousMeasurer;
+      clipPaths = previousClipPaths;
     }
   }
 
-  paddingBottom() {
-    var padding = this.paddingNumber();
-    if (padding !== null) {
-      return padding;
-    } else if (this.padding.length === 1) {
-      return this.padding[0];
-    } else if (this.padding.length === 2) {
-      return this.padding[0];
-    } else if (this.padding.length === 3) {
-      return this.padding[2];
-    } else {
-      return this.padding[2];
+
+  /**
+   * Renders the diagram, returning its pseudo-elements, and sets `parts` to
+   * an array of objects with the properties `key`, which uniquely identifies
+   * a top-level shape or line, and `elements`, the pseudo-elements that draw
+   * it.
+   */
+  renderElements() {
+
+    const parts = [];
+    const keyCounts = new Map();
+    const addPart = (key, elements, graphic) =>
+      {
+        const count = keyCounts.get(key) || 0;
+        keyCounts.set(key, count + 1);
+        parts.push({
+          key: count === 0 ? key : `${key}#${count}`,
+          elements: (elements || []).filter(element => element),
+          graphic: graphic
+        });
+      };
+
+    const styles = [];
+    if (this.options.highlight) {
+      const color = typeof(this.options.highlight) === 'string' ? this.options.highlight : HIGHLIGHT_COLOR;
+      styles.push(highlightStyle(color));
+    }
+    if (this.editing) {
+      styles.push(EDITING_STYLE);
+    }
+    if (styles.length > 0) {
+      addPart('style', [['style', {}, styles.join('\n')]]);
     }
-  }
 
-  paddingLeft() {
-    var padding = this.paddingNumber();
-    if (padding !== null) {
-      return padding;
-    } else if (this.padding.length === 1) {
-      return this.padding[0];
-    } else if (this.padding.length === 2) {
-      return this.padding[1];
-    } else if (this.padding.length === 3) {
-      return this.padding[1];
-    } else {
-      return this.padding[3];
+    if (this.options.layout !== undefined) {
+      const layout = layouts[this.options.layout];
+      if (!layout) {
+        console.warn(`Unknown layout ${this.options.layout}`);
+      } else {
+        layout(this, this.shapes.filter(shape =>
+          shape.x === undefined && shape.y === undefined && !isRelative(shape)));
+      }
     }
-  }
 
-  render(x, y) {
-    this.x = x;
-    this.y = y;
-    var result = [['rect', this.attrs()]];
-    this.children.forEach(child =>
+    this.shapes.forEach(shape =>
       {
-        result = result.concat(child.render(x + child.dx, y + child.dy));
+        if ((shape.x === undefined || shape.y === undefined) && !isRelative(shape)) {
+          console.warn('Top-level shape requires x and y coordinates or a relative position such as align_to', shape);
+        }
       });
-    return result;
-  }
 
-}
+    const fixed = this.shapes.filter(shape => shape.x !== undefined);
+    fixed.forEach(shape =>
+      {
+        shape.layout();
+        shape.place(shape.x, shape.y);
+      });
 
+    const relative = this.relativeOrder().filter(shape =>
+      {
+        const position = this.relativePosition(shape);
+        if (position) {
+          shape.place(...position);
+        }
+        return position;
+      });
 
-/**
- * Box that stacks its children vertically.
- */
-class Vbox extends Box {
+    this.solveConstraints(relative);
 
-  constructor(props, ...children) {
-    super(props, ...children);
+    fixed.concat(relative).forEach(shape =>
+      {
+        const key = shape.id === undefined ? `#${this.shapes.indexOf(shape)}` : shape.id;
+        addPart(`shape:${key}`, shape.render(shape.x, shape.y), shape);
+      });
+
+    // Problem with line rendering:
+    // Each line will have to find its `from` and `to` shapes by ID, which currently
+    // requires walking down from the top-level shapes, which would be slow for large diagrams.
+    // We could walk it once and index by id, but then we wouldn't have the absolute position
+    // of the shape.
+    //
+    // Perhaps shape.layout() should set the _absolute_ position when it lays out children
+    //
+    this.connections = [];
+    if (this.lines) {
+      const connections = this.lines.map(line => line.connect ? line.connect(this) : undefined);
+      this.connections = connections;
+      if (this.options['spread_lines'] !== false) {
+        spreadConnections(connections.filter(c => c));
+      }
+      this.lines.forEach((line, i) =>
+        {
+          const key = line.id === undefined ? `${line.from}->${line.to}` : line.id;
+          addPart(`line:${key}`, line.render(this, connections[i]), line);
+        });
+    }
+
+    this.parts = parts;
+    return parts.flatMap(part => part.elements);
   }
 
-  layout() {
 
-    var contentWidth = 0;
-    var contentHeight = 0;
-    this.children.forEach((child, i) =>
+  /**
+   * Returns the top-level shapes positioned relative to other shapes,
+   * ordered so that each comes after any such shapes it depends on.  Warns
+   * about, and leaves out, shapes that depend on each other in a cycle.
+   */
+  relativeOrder() {
+
+    const pending = this.shapes.filter(shape => shape.x === undefined && isRelative(shape));
+    const topLevel = target => this.shapes.find(shape => shape === target || shape.containsShape(target));
+    const dependencies = shape => relativeTargetIds(shape)
+      .map(id => this.shapeById(id))
+      .filter(target => target)
+      .map(topLevel)
+      .filter(target => pending.includes(target));
+
+    const visiting = 'visiting';
+    const done = 'done';
+    const state = new Map();
+    const result = [];
+
+    const visit = (shape, path) =>
       {
-        if (i > 0) {
-          contentHeight += this.spacing;
+        if (state.get(shape) === visiting) {
+          const cycle = path.slice(path.indexOf(shape)).concat([shape]);
+          console.warn(`Shapes are positioned relative to each other in a cycle: ${cycle.map(s => s.id).join(' -> ')}`, shape);
+          return false;
+        } else if (state.has(shape)) {
+          return state.get(shape) === done;
         }
-        child.layout();
-        if (child.width > contentWidth) {
-          contentWidth = child.width;
+        state.set(shape, visiting);
+        const ok = dependencies(shape)
+          .map(dependency => visit(dependency, path.concat([shape])))
+          .every(ok => ok);
+        state.set(shape, ok ? done : 'failed');
+        if (ok) {
+          result.push(shape);
+        }
+        return ok;
+      };
+
+    pending.forEach(shape => visit(shape, []));
+    return result;
+  }
+
+
+  /**
+   * Applies the diagram's constraints in the order they were added.  After
+   * each, the `relative` shapes that the constraint didn't move are
+   * positioned again, so they follow the shapes they are positioned
+   * relative to.
+   */
+  solveConstraints(relative) {
+    const constrained = new Set();
+    this.constraints.forEach(constraint =>
+      {
+        const shapes = constraint.ids.map(id =>
+          {
+            const shape = this.shapes.find(shape => shape.id === id);
+            if (!shape) {
+              console.warn(`Top-level shape ${id} not found`, constraint);
+            } else if (shape.x === undefined) {
+              console.warn(`Shape ${id} has not been positioned`, constraint);
+            }
+            return shape;
+          }).filter(shape => shape && shape.x !== undefined);
+
+        if (shapes.length > 1) {
+          constraint.solve(shapes);
+          shapes.forEach(shape => constrained.add(shape));
+          relative.forEach(shape =>
+            {
+              if (!constrained.has(shape)) {
+                // relativePosition warns if it can't position the shape
+                const position = this.relativePosition(shape);
+                if (position) {
+                  shape.place(...position);
+                }
+              }
+            });
         }
-        contentHeight += child.height;
       });
+  }
 
-    var extraSpaceV;
-    if (this.height === undefined) {
-      extraSpaceV = 0;
-    } else {
-      extraSpaceV = this.height - this.paddingTop() - this.paddingBottom() - contentHeight;
+
+  /**
+   * Lays out `shape` and returns its `[x, y]` position relative to the
+   * shapes named by its `align_to`, `right_of`, etc. properties.  Warns and
+   * returns null if any of those shapes can't be found or hasn't been
+   * positioned.
+   */
+  relativePosition(shape) {
+
+    for (const id of relativeTargetIds(shape)) {
+      const target = this.shapeById(id);
+      if (!target) {
+        console.warn(`Shape ${id} not found`, shape);
+        return null;
+      } else if (target.x === undefined) {
+        console.warn(`Shape ${id} has not yet been positioned`, shape);
+        return null;
+      }
     }
 
-    var topSpace;
-    switch (this.valign) {
-      case 'top':
-        topSpace = 0;
-        break;
-      case 'bottom':
-        topSpace = extraSpaceV;
-        break;
-      default:
-        topSpace = extraSpaceV / 2;
+    shape.layout();
+
+    const target = k =>
+      {
+        const id = relativeTargetId(shape, k);
+        return id === undefined ? undefined : this.shapeById(id);
+      };
+    const center = target(RELATIONS.find(k => shape[k] !== undefined));
+    const gap = shape.gap || 0;
+
+    const rightOf = target('right-of');
+    const leftOf = target('left-of');
+    const alignLeft = target('align-left');
+    const alignRight = target('align-right');
+    var x;
+    if (rightOf) {
+      x = rightOf.x + rightOf.width + gap;
+    } else if (leftOf) {
+      x = leftOf.x - gap - shape.width;
+    } else if (alignLeft) {
+      x = alignLeft.x;
+    } else if (alignRight) {
+      x = alignRight.x + alignRight.width - shape.width;
+    } else {
+      x = center.x + center.width / 2 - shape.width / 2;
+    }
+
+    const below = target('below');
+    const above = target('above');
+    const alignTop = target('align-top');
+    const alignBottom = target('align-bottom');
+    var y;
+    if (below) {
+      y = below.y + below.height + gap;
+    } else if (above) {
+      y = above.y - gap - shape.height;
+    } else if (alignTop) {
+      y = alignTop.y;
+    } else if (alignBottom) {
+      y = alignBottom.y + alignBottom.height - shape.height;
+    } else {
+      y = center.y + center.height / 2 - shape.height / 2;
+    }
+
+    return [x + (shape.dx || 0), y + (shape.dy || 0)];
+  }
+
+
+  renderInto(el) {
+    this.el = el;
+    this.render();
+    this.parts.forEach(part =>
+      {
+        part.nodes = part.elements.map(psvg => appendSvgElement(el, psvg));
+      });
+    this.bindElements();
+    if (this.viewer) {
+      this.drawMinimap();
+    }
+    return this;
+  }
+
+
+  /**
+   * Associates the DOM elements of the most recent rendering with the
+   * shapes and lines they were rendered from, so events can be handled.
+   */
+  bindElements() {
+    this.parts.forEach(part => part.nodes.forEach((node, i) => bindElements(node, part.elements[i], this)));
+  }
+
+
+  /**
+   * Lets the user drag the top-level shapes of a diagram rendered with
+   * `renderInto` to new positions.  Lines are re-routed as shapes move.
+   * Dragging a shape positioned relative to another shape changes its `dx`
+   * and `dy`; dragging any other shape changes its `x` and `y`.  Call
+   * `positions` to get the new positions.  Warns, and does nothing, if
+   * editing is already enabled.
+   *
+   * @param {object} [options]
+   * @param {number} [options.grid] - Size of a grid to snap positions to.
+   */
+  enableEditing(options) {
+    if (!this.el) {
+      console.warn('Please call renderInto before calling enableEditing');
+      return this;
+    } else if (this.editing) {
+      console.warn('Editing is already enabled');
+      return this;
+    }
+
+    const el = this.el;
+    const grid = (options && options.grid) || 0;
+    const snap = v => grid ? Math.round(v / grid) * grid : v;
+    var drag = null;
+
+    el.addEventListener('pointerdown', event =>
+      {
+        const shape = this.topLevelShapeAt(event.target);
+        if (event.button !== 0 || !shape || !shape.declared) {
+          return;
+        }
+        // For a relatively positioned shape, `base` is where it would be
+        // without its `dx` and `dy`, so that its position snaps to the grid.
+
+        const relative = this.isRelativelyPositioned(shape);
+        const [kx, ky] = relative ? ['dx', 'dy'] : ['x', 'y'];
+        drag = {
+          shape: shape,
+          kx: kx,
+          ky: ky,
+          x: shape[kx] || 0,
+          y: shape[ky] || 0,
+          base: relative ? [shape.x - (shape.dx || 0), shape.y - (shape.dy || 0)] : [0, 0],
+          start: this.svgPoint(event)
+        };
+        el.setPointerCapture(event.pointerId);
+        event.preventDefault();
+      });
+
+    el.addEventListener('pointermove', event =>
+      {
+        if (!drag) {
+          return;
+        }
+        const [px, py] = this.svgPoint(event);
+        const declared = drag.shape.declared;
+        const [bx, by] = drag.base;
+        const x = snap(bx + drag.x + px - drag.start[0]) - bx;
+        const y = snap(by + drag.y + py - drag.start[1]) - by;
+        if (x !== declared[drag.kx] || y !== declared[drag.ky]) {
+          declared[drag.kx] = x;
+          declared[drag.ky] = y;
+          this.update();
+        }
+      });
+
+    const end = event =>
+      {
+        if (drag) {
+          el.releasePointerCapture(event.pointerId);
+          drag = null;
+        }
+      };
+    el.addEventListener('pointerup', end);
+    el.addEventListener('pointercancel', end);
+
+    el.classList.add('diascript-editing');
+    this.editing = true;
+    return this.update();
+  }
+
+
+  /**
+   * Returns the positions of the diagram's top-level shapes, keyed by ID, in
+   * the form of the properties that position them: `{ dx, dy }` for shapes
+   * positioned relative to other shapes, or `{ x, y }` for others,
+   * including shapes positioned by an automatic layout.  Shapes without IDs
+   * are left out.
+   */
+  positions() {
+    const result = {};
+    this.shapes.forEach(shape =>
+      {
+        if (shape.id === undefined) {
+          return;
+        } else if (this.isRelativelyPositioned(shape)) {
+          result[shape.id] = { dx: shape.dx || 0, dy: shape.dy || 0 };
+        } else {
+          result[shape.id] = { x: shape.x, y: shape.y };
+        }
+      });
+    return result;
+  }
+
+
+  /**
+   * Returns true if the top-level shape `shape` is positioned relative to
+   * other shapes, rather than by its own `x` and `y`.
+   */
+  isRelativelyPositioned(shape) {
+    const declared = shape.declared || shape;
+    return isRelative(shape) && declared.x === undefined;
+  }
+
+
+  /**
+   * Returns the top-level shape whose rendering includes the DOM node
+   * `node`, or undefined if there is none.
+   */
+  topLevelShapeAt(node) {
+    while (node && node.parentNode !== this.el) {
+      node = node.parentNode;
+    }
+    const bound = node && elementGraphics.get(node);
+    return bound && this.shapes.includes(bound.graphic) ? bound.graphic : undefined;
+  }
+
+
+  /**
+   * Returns the position of a pointer event in the coordinates of the
+   * diagram.
+   */
+  svgPoint(event) {
+    const m = this.el.getScreenCTM().inverse();
+    return [
+      m.a * event.clientX + m.c * event.clientY + m.e,
+      m.b * event.clientX + m.d * event.clientY + m.f
+    ];
+  }
+
+
+  /**
+   * Turns the SVG element passed to `renderInto` into a viewer that can be
+   * zoomed with the mouse wheel or by pinching, and panned by dragging.
+   * Starts by fitting the view to the diagram.  Shapes being dragged with
+   * `enableEditing` are not panned.  Warns, and does nothing, if
+   * the viewer is already enabled.
+   *
+   * @param {object} [options]
+   * @param {number} [options.max_zoom=10] - Largest zoom, relative to
+   * fitting the whole diagram in view.
+   * @param {number} [options.min_zoom=0.1] - Smallest zoom, likewise.
+   * @param {object} [options.minimap] - An SVG element in which to draw an
+   * overview of the whole diagram, with a rectangle showing the part in view.
+   * Clicking or dragging in it moves the view.
+   */
+  enableViewer(options) {
+    if (!this.el) {
+      console.warn('Please call renderInto before calling enableViewer');
+      return this;
+    } else if (this.viewer) {
+      console.warn('The viewer is already enabled');
+      return this;
+    }
+
+    const el = this.el;
+    this.viewer = {
+      minZoom: (options && options['min_zoom']) || 0.1,
+      maxZoom: (options && options['max_zoom']) || 10,
+      minimap: options && options.minimap
+    };
+    el.style.touchAction = 'none';
+
+    // Dragging with one pointer pans, once it has moved far enough to tell
+    // a drag from a click. With two, the view zooms by the change in the
+    // distance between them, about the point midway between them.
+
+    const pointers = new Map();
+    var gesture = null;
+    const startGesture = () =>
+      {
+        const points = [...pointers.values()];
+        const [a, b] = [points[0], points[1] || points[0]];
+        gesture = {
+          viewBox: Object.assign({}, this.viewer.viewBox),
+          ctm: el.getScreenCTM().inverse(),
+          center: [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2],
+          distance: Math.max(1, Math.hypot(a[0] - b[0], a[1] - b[1]))
+        };
+      };
+
+    el.addEventListener('pointerdown', event =>
+      {
+        if (this.editing && this.topLevelShapeAt(event.target)) {
+          return;
+        }
+        pointers.set(event.pointerId, [event.clientX, event.clientY]);
+        if (pointers.size > 1) {
+          pointers.forEach((point, id) => el.setPointerCapture(id));
+          startGesture();
+        } else {
+          gesture = null;
+        }
+      });
+
+    el.addEventListener('pointermove', event =>
+      {
+        if (!pointers.has(event.pointerId)) {
+          return;
+        }
+        if (!gesture) {
+          const [x, y] = pointers.get(event.pointerId);
+          if (Math.hypot(event.clientX - x, event.clientY - y) < PAN_THRESHOLD) {
+            return;
+          }
+          el.setPointerCapture(event.pointerId);
+          startGesture();
+        }
+        pointers.set(event.pointerId, [event.clientX, event.clientY]);
+        const points = [...pointers.values()];
+        const [a, b] = [points[0], points[1] || points[0]];
+        const center = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+        const scale = pointers.size > 1 ? gesture.distance / Math.max(1, Math.hypot(a[0] - b[0], a[1] - b[1])) : 1;
+        const { viewBox, ctm } = gesture;
+
+        // Keep the diagram point under the starting center under the
+        // current center.
+
+        const [sx, sy] = gesture.center;
+        const px = ctm.a * sx + ctm.c * sy + ctm.e;
+        const py = ctm.b * sx + ctm.d * sy + ctm.f;
+        const width = viewBox.width * scale;
+        const height = viewBox.height * scale;
+        const x = px - (px - viewBox.x) * scale - ctm.a * (center[0] - sx) * scale;
+        const y = py - (py - viewBox.y) * scale - ctm.d * (center[1] - sy) * scale;
+        this.setViewBox(x, y, width, height);
+      });
+
+    const end = event =>
+      {
+        if (pointers.delete(event.pointerId)) {
+          if (el.hasPointerCapture(event.pointerId)) {
+            el.releasePointerCapture(event.pointerId);
+          }
+          if (pointers.size > 0 && gesture) {
+            startGesture();
+          }
+        }
+      };
+    el.addEventListener('pointerup', end);
+    el.addEventListener('pointercancel', end);
+
+    el.addEventListener('wheel', event =>
+      {
+        event.preventDefault();
+        const [px, py] = this.svgPoint(event);
+        const scale = Math.exp(event.deltaY * 0.002);
+        const { x, y, width, height } = this.viewer.viewBox;
+        this.setViewBox(px - (px - x) * scale, py - (py - y) * scale, width * scale, height * scale);
+      }, { passive: false });
+
+    const minimap = this.viewer.minimap;
+    if (minimap) {
+      minimap.style.touchAction = 'none';
+      const moveTo = event =>
+        {
+          const m = minimap.getScreenCTM().inverse();
+          const px = m.a * event.clientX + m.c * event.clientY + m.e;
+          const py = m.b * event.clientX + m.d * event.clientY + m.f;
+          const { width, height } = this.viewer.viewBox;
+          this.setViewBox(px - width / 2, py - height / 2, width, height);
+        };
+      minimap.addEventListener('pointerdown', event =>
+        {
+          minimap.setPointerCapture(event.pointerId);
+          moveTo(event);
+        });
+      minimap.addEventListener('pointermove', event =>
+        {
+          if (minimap.hasPointerCapture(event.pointerId)) {
+            moveTo(event);
+          }
+        });
+    }
+
+    this.drawMinimap();
+    return this.fitToContent();
+  }
+
+
+  /**
+   * Sets the view of a diagram with a viewer to show the whole diagram, with
+   * `padding` around it.  Returns this diagram.
+   */
+  fitToContent(padding = 10) {
+    const bounds = this.bounds();
+    if (bounds) {
+      this.setViewBox(bounds.x - padding, bounds.y - padding, bounds.width + 2 * padding, bounds.height + 2 * padding, true);
+    }
+    return this;
+  }
+
+
+  /**
+   * Sets the view of a diagram with a viewer to show the shape with the
+   * given ID, with `padding` around it.  Returns this diagram.
+   */
+  zoomToShape(id, padding = 20) {
+    const shape = this.shapeById(id);
+    if (!shape) {
+      console.warn(`Shape ${id} not found`);
+    } else {
+      this.setViewBox(shape.x - padding, shape.y - padding, shape.width + 2 * padding, shape.height + 2 * padding);
+    }
+    return this;
+  }
+
+
+  /**
+   * Sets the `viewBox` of the SVG element, keeping the zoom within the
+   * viewer's limits unless `force` is true, and moves the minimap's
+   * rectangle to match.
+   */
+  setViewBox(x, y, width, height, force) {
+    if (!this.viewer) {
+      console.warn('Please call enableViewer before changing the view');
+      return;
+    }
+    const bounds = this.bounds();
+    if (bounds && !force) {
+      const size = Math.max(bounds.width, bounds.height, 1);
+      const scale = Math.min(Math.max(Math.max(width, height), size / this.viewer.maxZoom), size / this.viewer.minZoom) / Math.max(width, height);
+      x += width * (1 - scale) / 2;
+      y += height * (1 - scale) / 2;
+      width *= scale;
+      height *= scale;
+    }
+    this.viewer.viewBox = { x: x, y: y, width: width, height: height };
+    this.el.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+    if (this.viewer.viewport) {
+      this.viewer.viewport.setAttribute('x', x);
+      this.viewer.viewport.setAttribute('y', y);
+      this.viewer.viewport.setAttribute('width', width);
+      this.viewer.viewport.setAttribute('height', height);
+    }
+  }
+
+
+  /**
+   * Draws the whole diagram in the viewer's minimap, if it has one, along
+   * with a rectangle showing the part in view.
+   */
+  drawMinimap() {
+    const minimap = this.viewer.minimap;
+    if (!minimap) {
+      return;
+    }
+    if (this.viewer.overview) {
+      minimap.removeChild(this.viewer.overview);
+    }
+    const bounds = this.bounds();
+    if (bounds) {
+      minimap.setAttribute('viewBox', `${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}`);
+    }
+    const viewBox = this.viewer.viewBox || bounds || { x: 0, y: 0, width: 0, height: 0 };
+    this.viewer.overview = appendSvgElement(minimap, ['g', {}, ...this.elements.map(withoutDefinitions)]);
+    this.viewer.viewport = appendSvgElement(this.viewer.overview, ['rect', {
+      x: viewBox.x,
+      y: viewBox.y,
+      width: viewBox.width,
+      height: viewBox.height,
+      fill: HIGHLIGHT_COLOR,
+      'fill-opacity': 0.15,
+      stroke: HIGHLIGHT_COLOR,
+      'vector-effect': 'non-scaling-stroke'
+    }]);
+  }
+
+
+  /**
+   * If the `highlight` option is set, highlights or, if `on` is false,
+   * un-highlights `graphic`, which was rendered as the DOM element `el`,
+   * along with any lines joined to it or to shapes within it.
+   */
+  highlightConnected(graphic, el, on) {
+    if (!this.options.highlight || !(graphic instanceof Shape)) {
+      return;
+    }
+    const joined = shape => shape === graphic || graphic.containsShape(shape);
+    const elements = [el];
+    this.parts.forEach(part =>
+      {
+        const i = this.lines ? this.lines.indexOf(part.graphic) : -1;
+        const c = i >= 0 ? this.connections[i] : undefined;
+        if (c && (joined(c.fromShape) || joined(c.toShape))) {
+          elements.push(...part.nodes);
+        }
+      });
+    elements.forEach(element => element.classList.toggle('diascript-highlight', on));
+  }
+
+
+  /**
+   * Lays out and renders the diagram again, updating the SVG element passed
+   * to `renderInto` in place.  Elements drawn for each top-level shape and
+   * line are matched with those drawn before by the shape's or line's ID,
+   * and only changed attributes and content are touched, so existing SVG
+   * elements, and any event listeners on them, are kept where possible.
+   *
+   * Shapes are laid out from the `x`, `y`, `width`, and `height` they were
+   * created with, rather than those computed by the last layout, unless
+   * they have been assigned new values since the diagram was last rendered,
+   * e.g. `shape.x = 100`, which are then kept. Deleting such a property, or
+   * setting it to undefined, lets the layout compute it again. Other
+   * properties, such as `fill`, may also be changed directly on the shapes
+   * before calling `update`.
+   *
+   * @param {object[]} [shapes] - Top-level shapes to replace the diagram's.
+   * @param {object[]} [lines] - Lines to replace the diagram's.
+   */
+  update(shapes, lines) {
+    if (!this.el) {
+      console.warn('Please call renderInto before calling update');
+      return this;
+    }
+    this.shapes = shapes || this.shapes;
+    this.lines = lines || this.lines;
+
+    const el = this.el;
+    const oldParts = new Map(this.parts.map(part => [part.key, part]));
+    const oldNodes = this.parts.flatMap(part => part.nodes);
+    const oldNodeSet = new Set(oldNodes);
+    var next = oldNodes.length > 0 ? oldNodes[oldNodes.length - 1].nextSibling : null;
+    while (next && oldNodeSet.has(next)) {
+      next = next.nextSibling;
+    }
+
+    this.render();
+
+    const kept = new Set();
+    this.parts.forEach(part =>
+      {
+        const old = oldParts.get(part.key);
+        part.nodes = part.elements.map((psvg, i) =>
+          {
+            const node = old && old.nodes[i];
+            if (node && node.tagName === psvg[0]) {
+              patchSvgElement(node, psvg);
+              kept.add(node);
+              return node;
+            }
+            return createSvgElement(psvg);
+          });
+      });
+
+    oldNodes.forEach(node =>
+      {
+        if (!kept.has(node)) {
+          el.removeChild(node);
+        }
+      });
+
+    // Working backwards, move or insert each node before the one after it,
+    // leaving alone nodes that are already in place.
+
+    this.parts.flatMap(part => part.nodes).reverse().forEach(node =>
+      {
+        if (node.parentNode !== el || node.nextSibling !== next) {
+          el.insertBefore(node, next);
+        }
+        next = node;
+      });
+
+    this.bindElements();
+    if (this.viewer) {
+      this.drawMinimap();
+    }
+    return this;
+  }
+
+
+  /**
+   * Renders the diagram as standalone SVG markup, sized to fit everything
+   * drawn the same way as `shrinkWrap`.  Useful for generating diagrams
+   * outside of a browser, e.g. in Node.
+   *
+   * @param {object} [options] - Options as for `shrinkWrap`.
+   */
+  toSvgString(options) {
+    const elements = this.render();
+    const attrs = Object.assign({ xmlns: SVG_NS }, this.shrinkWrapAttrs(options));
+    return svgString(['svg', attrs, ...elements]);
+  }
+
+
+  /**
+   * Returns the diagram as plain data that can be passed to
+   * `JSON.stringify`, stored, and turned back into a diagram with `fromJSON`.
+   * Shapes are written with the properties they were created with, so a
+   * rendered diagram gives the same result as a fresh one.  Event handlers,
+   * the measurer, and constraints are not included.
+   */
+  toJSON() {
+    const result = {
+      version: JSON_VERSION,
+      shapes: this.shapes.map(shape => shape.toJSON())
+    };
+    if (this.lines && this.lines.length) {
+      result.lines = this.lines.map(line => line.toJSON());
+    }
+    const options = {};
+    for (const k in this.options) {
+      if (k !== 'measurer' && this.options[k] !== undefined && typeof(this.options[k]) !== 'function') {
+        options[k] = this.options[k];
+      }
+    }
+    if (Object.keys(options).length) {
+      result.options = options;
+    }
+    return result;
+  }
+
+
+  shapeById(id) {
+    for (let i = 0; i < this.shapes.length; i++) {
+      const result = this.shapes[i].shapeById(id);
+      if (result) {
+        return result;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Returns the smallest rectangle containing everything drawn by the most
+   * recent rendering of the diagram, as an object with `x`, `y`, `width`,
+   * and `height` properties, or null if nothing was drawn.  Renders the
+   * diagram first if it hasn't been rendered.  Accounts for stroke widths,
+   * lines and their markers and labels, and any negative coordinates.
+   * The rectangle is computed once per rendering, since the viewer needs it
+   * for every pointer and wheel event.
+   */
+  bounds() {
+    const elements = this.elements || this.render();
+    if (this.renderedBounds === undefined) {
+      const bounds = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+      elements.forEach(psvg => extendBounds(bounds, psvg, [1, 0, 0, 1, 0, 0], {}));
+      this.renderedBounds = bounds.left > bounds.right ? null : {
+        x: bounds.left,
+        y: bounds.top,
+        width: bounds.right - bounds.left,
+        height: bounds.bottom - bounds.top
+      };
+    }
+    return this.renderedBounds && Object.assign({}, this.renderedBounds);
+  }
+
+  /**
+   * Returns the `width`, `height`, and `viewBox` attributes that fit the SVG
+   * element to the diagram's bounds, or an empty object if nothing was
+   * drawn.
+   *
+   * @param {object} [options] - Options as for `shrinkWrap`.
+   */
+  shrinkWrapAttrs(options) {
+    const bounds = this.bounds();
+    if (!bounds) {
+      return {};
+    }
+    const padding = options && options.padding !== undefined ? options.padding : 10;
+    var width = bounds.width + 2 * padding;
+    var height = bounds.height + 2 * padding;
+    const aspectRatio = options && options['aspect_ratio'];
+    if (aspectRatio) {
+      if (width / height < aspectRatio) {
+        width = height * aspectRatio;
+      } else {
+        height = width / aspectRatio;
+      }
+    }
+    const left = bounds.x + bounds.width / 2 - width / 2;
+    const top = bounds.y + bounds.height / 2 - height / 2;
+    return {
+      width: width,
+      height: height,
+      viewBox: `${left} ${top} ${width} ${height}`
+    };
+  }
+
+  /**
+   * Sizes the SVG element passed to `renderInto` to fit the diagram.
+   *
+   * @param {object} [options]
+   * @param {number} [options.aspect_ratio] - Ratio of width to height. The
+   * diagram is centered in a wider or taller area if it doesn't have this
+   * ratio.
+   * @param {number} [options.padding=10] - Space around the diagram.
+   */
+  shrinkWrap(options) {
+    if (!this.el) {
+      console.warn('Please call renderInto before calling shrinkWrap');
+    } else if (!this.bounds()) {
+      console.warn("Nothing drawn, can't shrinkWrap");
+    } else {
+      const attrs = this.shrinkWrapAttrs(options);
+      for (const k in attrs) {
+        this.el.setAttribute(k, attrs[k]);
+      }
+    }
+    return this;
+  }
+
+}
+
+
+/**
+ * Properties set by laying out and rendering a graphic, which must be
+ * restored before it can be laid out again.
+ */
+const LAYOUT_PROPS = ['x', 'y', 'width', 'height', 'dx', 'dy'];
+
+
+/**
+ * DOM events handled by properties of shapes and lines, keyed by property.
+ */
+const EVENTS = {
+  'on-click': 'click',
+  'on-dblclick': 'dblclick',
+  'on-contextmenu': 'contextmenu',
+  'on-hover': 'mouseenter',
+  'on-leave': 'mouseleave'
+};
+
+
+/**
+ * Shapes and lines, keyed by the `g` pseudo-elements that group what they
+ * draw.
+ */
+const renderedGraphics = new WeakMap();
+
+
+/**
+ * Objects with the properties `graphic` and `diagram`, keyed by the DOM
+ * elements created from the groups of shapes and lines.  Event listeners
+ * look up the graphic here, so that the element can be reused when the
+ * diagram is updated.
+ */
+const elementGraphics = new WeakMap();
+
+
+/**
+ * Events that the handler of a shape or line has already run for. Events
+ * bubble up through the groups of nested shapes, and only the innermost
+ * shape with a handler should see them.
+ */
+const handledEvents = new WeakSet();
+
+
+/**
+ * Records that `el` was created from the pseudo-element `psvg`, in
+ * `diagram`, and does the same for their descendants. Adds event listeners
+ * to elements for shapes and lines, unless they already have them.
+ */
+function bindElements(el, psvg, diagram) {
+  const graphic = renderedGraphics.get(psvg);
+  if (graphic) {
+    if (!elementGraphics.has(el)) {
+      for (const k in EVENTS) {
+        el.addEventListener(EVENTS[k], event =>
+          {
+            const { graphic, diagram } = elementGraphics.get(el);
+            if (k === 'on-hover' || k === 'on-leave') {
+              diagram.highlightConnected(graphic, el, k === 'on-hover');
+            }
+            if (typeof(graphic[k]) === 'function' && !handledEvents.has(event)) {
+              handledEvents.add(event);
+              graphic[k](graphic, event);
+            }
+          });
+      }
+    }
+    elementGraphics.set(el, { graphic: graphic, diagram: diagram });
+  }
+  const children = Array.from(el.childNodes).filter(node => node.nodeType === Node.ELEMENT_NODE);
+  psvg.slice(2)
+    .filter(child => Array.isArray(child))
+    .forEach((child, i) => bindElements(children[i], child, diagram));
+}
+
+
+/**
+ * Default color of shapes and lines highlighted with the `highlight`
+ * option of a diagram.
+ */
+const HIGHLIGHT_COLOR = '#1e90ff';
+
+
+/**
+ * Returns the CSS that draws highlighted shapes and lines in `color`.
+ */
+function highlightStyle(color) {
+  return [
+    '.diascript-highlight > rect',
+    '.diascript-highlight > ellipse',
+    '.diascript-highlight > path',
+    '.diascript-highlight[data-kind="line"] path'
+  ].join(', ') + ` { stroke: ${color}; stroke-width: 2px; }`;
+}
+
+
+/**
+ * CSS for a diagram in which shapes can be dragged.
+ */
+const EDITING_STYLE = '.diascript-editing > g:not([data-kind="line"]) { cursor: move; }';
+
+
+/**
+ * Returns the attributes of the `g` element that groups the elements drawn
+ * for a shape or line, identifying it for CSS and scripts: `data-id`, its
+ * ID, `data-kind`, the kind of graphic, and `class`, from its `class`
+ * property.
+ */
+function groupAttrs(graphic, kind) {
+  return select({ 'data-id': graphic.id, 'data-kind': kind, 'class': graphic.class }, ['data-id', 'data-kind', 'class']);
+}
+
+
+/**
+ * Base class for shapes and lines.
+ */
+class Graphic {
+
+  /**
+   * Constructor.  Copies properties from `props` to `this`. Replaces
+   * underscores with dashes in property names so we can, for example, specify
+   * `stroke_width` in `props` and have it end up being `stroke-width` in
+   * `this.
+   */
+  constructor(props) {
+    for (const k in props) {
+      this[k.replace(/_/g, '-')] = props[k];
+    }
+  }
+
+  /**
+   * Returns the names of the properties this graphic was given, as opposed
+   * to those computed while laying it out: those it had before it was first
+   * laid out, and any layout properties assigned to it since.
+   */
+  propNames() {
+    const names = this.propKeys || Object.keys(this);
+    if (!this.declared) {
+      return names;
+    }
+    this.updateDeclared();
+    return [...new Set(names.concat(Object.keys(this.declared)))];
+  }
+
+  /**
+   * Restores this graphic's layout properties to the values they had when
+   * it was first laid out, so that it can be laid out afresh.  The first call
+   * records the values instead.  Values assigned since the graphic was last
+   * laid out replace the recorded ones.
+   */
+  resetLayout() {
+    if (!this.declared) {
+      Object.defineProperty(this, 'declared', { value: select(this, LAYOUT_PROPS) });
+      Object.defineProperty(this, 'propKeys', { value: Object.keys(this) });
+    } else {
+      this.updateDeclared();
+      if (this.laidOut) {
+        this.laidOut = null;
+      }
+      LAYOUT_PROPS.forEach(k =>
+        {
+          if (k in this.declared) {
+            this[k] = this.declared[k];
+          } else {
+            delete this[k];
+          }
+        });
+    }
+  }
+
+  /**
+   * Records the layout properties this graphic was given by being laid out,
+   * so that `updateDeclared` can tell which have been changed since.
+   */
+  recordLayout() {
+    Object.defineProperty(this, 'laidOut', { value: select(this, LAYOUT_PROPS), writable: true, configurable: true });
+  }
+
+  /**
+   * Copies any layout properties assigned to this graphic since it was last
+   * laid out to the values recorded by `resetLayout`, so that they are kept
+   * when the graphic is laid out again.
+   */
+  updateDeclared() {
+    if (!this.declared || !this.laidOut) {
+      return;
+    }
+    LAYOUT_PROPS.forEach(k =>
+      {
+        if (this[k] !== this.laidOut[k]) {
+          if (this[k] === undefined) {
+            delete this.declared[k];
+          } else {
+            this.declared[k] = this[k];
+          }
+        }
+      });
+  }
+
+}
+
+//--- Shapes -----------------------------------------------------------------------------
+
+
+/**
+ * Names of the ports at the middle of each side of a shape, in the same
+ * order as the first four of its `connectionPoints`.
+ */
+const SIDES = ['top', 'right', 'bottom', 'left'];
+
+
+/**
+ * Names of the ports at the corners of a shape.
+ */
+const CORNERS = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+
+
+/**
+ * Prefix and count of the clip path ids in the diagram being rendered, so
+ * that each diagram numbers its clip paths afresh on every render.  See
+ * `Diagram.render`.
+ */
+let clipPaths = { prefix: 'diascript', count: 0 };
+
+
+
+/**
+ * Base class for all shapes.  All shapes must implement two methods:
+ * `layout()` and `render(x,y)`.
+ *
+ * `layout` calculates the size of the shape and sets the `height` and `width`
+ * properties on `this` accordingly. Shapes that contain children will
+ * typically call `layout` on their children, then set `dx` and `dy` on each
+ * child to indicate the position of the child relative to this parent.
+ *
+ * `render(x,y)` saves its arguments in the `x` and `y` properties of `this`
+ * and returns an array of SVG pseudo-elements that render the shape.  Shapes
+ * with children should propagate the render call to each child using the
+ * child's `dx` and `dy` properties set during `layout` and adding each child's
+ * returned SVG pseudo-elements to its own `render` result.
+ *
+ * Any shape may have a `class` property, giving the class of the `g` element
+ * that groups its elements, and these properties, each a function called
+ * with the shape and the DOM event when the event happens to a diagram
+ * rendered with `renderInto`:
+ *
+ * `on_click` - The shape is clicked.
+ * `on_dblclick` - The shape is double-clicked.
+ * `on_contextmenu` - The context menu is requested on the shape.
+ * `on_hover` - The pointer moves onto the shape.
+ * `on_leave` - The pointer moves off the shape.
+ *
+ */
+class Shape extends Graphic {
+
+  constructor(props) {
+    super(props);
+  }
+
+  /**
+   * Returns an array of connection points for this shape.
+   *
+   * Each point is an array [x, y, nx, ny], where (nx, ny) forms a unit vector
+   * normal pointing away from the boundary of the shape.
+   *
+   * By default, assumes a rectangular shape and returns the midpoints of each
+   * side.
+   */
+  connectionPoints() {
+
+    const x0 = this.x;
+    const x1 = this.x + this.width / 2;
+    const x2 = this.x + this.width;
+
+    const y0 = this.y;
+    const y1 = this.y + this.height / 2;
+    const y2 = this.y + this.height;
+
+    return [
+      [x1, y0, 0, -1],
+      [x2, y1, 1, 0],
+      [x1, y2, 0, 1],
+      [x0, y1, -1, 0]
+    ];
+
+  }
+
+  /**
+   * Returns the connection points at the corners of this shape, in the same
+   * order as `CORNERS`.
+   *
+   * By default, assumes a rectangular shape.
+   */
+  cornerPoints() {
+    const [x0, y0] = [this.x, this.y];
+    const [x1, y1] = [this.x + this.width, this.y + this.height];
+    const n = Math.SQRT1_2;
+    return [
+      [x0, y0, -n, -n],
+      [x1, y0, n, -n],
+      [x1, y1, n, n],
+      [x0, y1, -n, n]
+    ];
+  }
+
+  /**
+   * Returns the connection point for the named port, or null if there is no
+   * such port.
+   *
+   * Every shape has ports for its sides, named as in `SIDES`, and its
+   * corners, named as in `CORNERS`.  The `ports` property can add more, as
+   * an object mapping names to arrays `[rx, ry]` or `[rx, ry, nx, ny]`.
+   * (rx, ry) is the position of the port relative to the top-left corner of
+   * the shape, as a fraction of its width and height, and (nx, ny) is the
+   * normal, which otherwise points away from the nearest side.
+   */
+  port(name) {
+    if (this.ports && this.ports[name]) {
+      const [rx, ry, nx, ny] = this.ports[name];
+      const x = this.x + rx * this.width;
+      const y = this.y + ry * this.height;
+      if (nx !== undefined && ny !== undefined) {
+        return [x, y, nx, ny];
+      }
+      const gaps = [ry * this.height, (1 - rx) * this.width, (1 - ry) * this.height, rx * this.width];
+      const normals = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+      return [x, y, ...normals[gaps.indexOf(Math.min(...gaps))]];
+    } else if (SIDES.includes(name)) {
+      return this.connectionPoints()[SIDES.indexOf(name)];
+    } else if (CORNERS.includes(name)) {
+      return this.cornerPoints()[CORNERS.indexOf(name)];
+    } else {
+      return null;
+    }
+  }
+
+  /**
+   * Returns the name of the side whose middle connection point is at
+   * `point`, or undefined.
+   */
+  sideAt([x, y]) {
+    const points = this.connectionPoints();
+    return SIDES.find((side, i) => points[i][0] === x && points[i][1] === y);
+  }
+
+  /**
+   * Returns the connection point a fraction `t` of the way along the named
+   * side, from left to right or top to bottom, or null if lines can't be
+   * spread along that side.
+   *
+   * By default, assumes a rectangular shape.
+   */
+  sidePoint(side, t) {
+    switch (side) {
+      case 'top':
+        return [this.x + t * this.width, this.y, 0, -1];
+      case 'right':
+        return [this.x + this.width, this.y + t * this.height, 1, 0];
+      case 'bottom':
+        return [this.x + t * this.width, this.y + this.height, 0, 1];
+      case 'left':
+        return [this.x, this.y + t * this.height, -1, 0];
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Returns the point `[x, y]` at the center of this shape.
+   */
+  center() {
+    return [this.x + this.width / 2, this.y + this.height / 2];
+  }
+
+  /**
+   * Returns the connection point `[x, y, nx, ny]` where a ray from the
+   * center of this shape towards the point `[px, py]` crosses the shape's
+   * outline.
+   *
+   * By default, assumes a rectangular shape.
+   */
+  boundaryPoint([px, py]) {
+    const [cx, cy] = this.center();
+    const dx = px - cx;
+    const dy = py - cy;
+    if (dx === 0 && dy === 0) {
+      return this.connectionPoints()[0];
+    }
+    const sx = dx === 0 ? Infinity : this.width / 2 / Math.abs(dx);
+    const sy = dy === 0 ? Infinity : this.height / 2 / Math.abs(dy);
+    if (sx <= sy) {
+      return [cx + dx * sx, cy + dy * sx, Math.sign(dx), 0];
+    } else {
+      return [cx + dx * sy, cy + dy * sy, 0, Math.sign(dy)];
+    }
+  }
+
+  /**
+   * Returns the margins around this shape as an array `[top, right, bottom,
+   * left]`, from its `margin` property, which is specified like the padding
+   * of a Box.
+   */
+  margins() {
+    return cssSides(this.margin);
+  }
+
+  /**
+   * Returns the kind of shape, used as the `data-kind` attribute of its
+   * group.
+   */
+  kind() {
+    return 'shape';
+  }
+
+  /**
+   * Returns `elements` wrapped in a `g` element that identifies this shape.
+   * Shapes render their elements, including those of the shapes within them,
+   * inside such a group.
+   */
+  group(elements) {
+    const g = ['g', groupAttrs(this, this.kind()), ...elements];
+    renderedGraphics.set(g, this);
+    return [g];
+  }
+
+  /**
+   * Restores the layout properties of this shape and the shapes within it.
+   */
+  resetLayout() {
+    super.resetLayout();
+    this.childShapes().forEach(child => child.resetLayout());
+  }
+
+  /**
+   * Records the layout of this shape and the shapes within it.
+   */
+  recordLayout() {
+    super.recordLayout();
+    this.childShapes().forEach(child => child.recordLayout());
+  }
+
+  /**
+   * Sets the `x` and `y` properties of this shape, and of the shapes within
+   * it using their `dx` and `dy`, as `render` would, but without rendering.
+   * Shapes must be laid out first.
+   */
+  place(x, y) {
+    this.x = x;
+    this.y = y;
+    this.childShapes().forEach(child => child.place(x + child.dx, y + child.dy));
+  }
+
+  /**
+   * Returns this shape and the shapes within it as plain data in the form
+   * read by `fromJSON`.
+   */
+  toJSON() {
+    const type = this.kind();
+    if (!shapeTypes[type]) {
+      throw new Error(`Can't convert a shape of kind '${type}' to JSON`);
+    }
+    const result = { type: type, props: jsonProps(this) };
+    if (shapeTypes[type].children !== 'none') {
+      result.children = this.childShapes().map(child => child.toJSON());
+    }
+    return result;
+  }
+
+  /**
+   * Returns an array of the shapes contained directly within this shape.
+   */
+  childShapes() {
+    if (this.children) {
+      return this.children;
+    } else if (this.child) {
+      return [this.child];
+    } else {
+      return [];
+    }
+  }
+
+  /**
+   * Returns true if `shape` is contained within this shape, at any depth.
+   */
+  containsShape(shape) {
+    return this.childShapes().some(child => child === shape || child.containsShape(shape));
+  }
+
+  /**
+   * Returns pseudo-elements that draw `elements` clipped to `outline`, a
+   * pseudo-element describing the boundary of the shape.
+   */
+  clip(outline, elements) {
+    const id = `${clipPaths.prefix}-clip-${++clipPaths.count}`;
+    return [
+      ['clipPath', { id: id }, outline],
+      ['g', { 'clip-path': `url(#${id})` }, ...elements]
+    ];
+  }
+
+  /**
+   * Returns the shape with the given id, traversing into child shapes if
+   * required, or null.
+   */
+  shapeById(id) {
+    if (this.id === id) {
+      return this;
+    } else if (this.children) {
+      for (let i = 0; i < this.children.length; i++) {
+        const result = this.children[i].shapeById(id);
+        if (result) {
+          return result;
+        }
+      }
+      return null;
+    } else {
+      return null;
+    }
+  }
+
+}
+
+/**
+ * Text element.
+ */
+class Text extends Shape {
+
+  /**
+   * Creates a text element.  The text is broken into lines at each `\n`,
+   * and at word boundaries to fit within `max_width` or the content width of
+   * a containing box that has a fixed width.
+   *
+   * @param {object} props
+   * @param {string} [props.fill=black] - Color with which to draw the text.
+   * @param {string} [props.font_family] - Font family, e.g. 'serif'. By default, inherited from the page.
+   * @param {string} [props.font_weight=normal] - Font weight, e.g. 'bold'.
+   * @param {string} [props.font_size=16] - Font size in SVG units.
+   * @param {number} [props.line_height=1] - Distance between lines, as a multiple of the height of one line.
+   * @param {number} [props.max_width] - Width at which to wrap the text.
+   * @param {string} [props.text_align] - Horizontal alignment of lines: 'left', 'center', 'right'. By default, follows the `align` of the containing box.
+   * @param {string} text - Text to render.
+   */
+  constructor(props, text) {
+    super(props);
+    this.text = text;
+    this.fill = this.fill || 'black';
+  }
+
+  kind() {
+    return 'text';
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), { text: this.text });
+  }
+
+
+  /**
+   * Returns the SVG attributes for this shape.
+   */
+  attrs() {
+    return select(this, ['x', 'y', 'fill', 'font-family', 'font-weight', 'font-size']);
+  }
+
+
+  /**
+   * Returns the font of this text in the form expected by a measurer's
+   * `measure` method.
+   */
+  font() {
+    return {
+      family: this['font-family'],
+      size: this['font-size'],
+      weight: this['font-weight']
+    };
+  }
+
+
+  /**
+   * Returns the bounding box for this text, which is an object with `width`
+   * and `height` properties, as calculated by the current measurer.
+   */
+  bbox() {
+    return currentMeasurer().measure(this.text, this.font());
+  }
+
+
+  /**
+   * Returns the width of `s` when drawn in this text's font.
+   */
+  measureWidth(s) {
+    return currentMeasurer().measure(s, this.font()).width;
+  }
+
+
+  /**
+   * Returns the width at which to wrap lines, or undefined if lines should
+   * only be broken at explicit newlines. Containing boxes set
+   * `availableWidth` to their content width.
+   */
+  wrapWidth() {
+    const widths = [this['max-width'], this.availableWidth].filter(w => w !== undefined);
+    return widths.length > 0 ? Math.min(...widths) : undefined;
+  }
+
+
+  /**
+   * Breaks the text into an array of lines.
+   */
+  wrap() {
+    const maxWidth = this.wrapWidth();
+    const result = [];
+    String(this.text).split('\n').forEach(paragraph =>
+      {
+        if (maxWidth === undefined) {
+          result.push(paragraph);
+        } else {
+          var row = '';
+          paragraph.trim().split(/\s+/).forEach(word =>
+            {
+              const candidate = row ? row + ' ' + word : word;
+              if (row && this.measureWidth(candidate) > maxWidth) {
+                result.push(row);
+                row = word;
+              } else {
+                row = candidate;
+              }
+            });
+          result.push(row);
+        }
+      });
+    return result;
+  }
+
+
+  /**
+   * Shortens `rows` to fit within `availableHeight`, and each row to fit
+   * within the wrap width, ending any cut text with an ellipsis.
+   */
+  truncateRows() {
+    const maxWidth = this.wrapWidth();
+    if (this.availableHeight !== undefined) {
+      const rowHeight = currentMeasurer().measure('M', this.font()).height;
+      const rowSpacing = rowHeight * (this['line-height'] || 1);
+      const maxRows = Math.max(1, Math.floor((this.availableHeight - rowHeight) / rowSpacing) + 1);
+      if (this.rows.length > maxRows) {
+        this.rows = this.rows.slice(0, maxRows);
+        this.rows[maxRows - 1] += '\u2026';
+        this.truncated = true;
+      }
+    }
+    if (maxWidth !== undefined) {
+      this.rows = this.rows.map(row =>
+        {
+          if (this.measureWidth(row) <= maxWidth) {
+            return row;
+          }
+          this.truncated = true;
+          return this.ellipsize(row, maxWidth);
+        });
+    }
+  }
+
+
+  /**
+   * Returns the longest prefix of `row` that, followed by an ellipsis, fits
+   * within `maxWidth`.
+   */
+  ellipsize(row, maxWidth) {
+    const s = row.endsWith('\u2026') ? row.slice(0, -1) : row;
+    var lo = 0;
+    var hi = s.length;
+    while (lo < hi) {
+      const mid = Math.ceil((lo + hi) / 2);
+      if (this.measureWidth(s.slice(0, mid).trimEnd() + '\u2026') <= maxWidth) {
+        lo = mid;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return s.slice(0, lo).trimEnd() + '\u2026';
+  }
+
+
+  layout() {
+    this.rows = this.wrap();
+    this.truncated = false;
+    if (this.truncate) {
+      this.truncateRows();
+    }
+    if (this.rows.length === 1 && this.rows[0] === this.text) {
+      const bbox = this.bbox();
+      this.width = bbox.width;
+      this.rowHeight = bbox.height;
+    } else {
+      const bboxes = this.rows.map(row => currentMeasurer().measure(row, this.font()));
+      this.width = Math.max(...bboxes.map(bbox => bbox.width));
+      this.rowHeight = Math.max(...bboxes.map(bbox => bbox.height));
+      if (!this.rowHeight) {
+        this.rowHeight = currentMeasurer().measure('M', this.font()).height;
+      }
+    }
+    this.height = this.rowHeight + (this.rows.length - 1) * this.rowSpacing();
+  }
+
+
+  /**
+   * Returns the distance between the baselines of successive lines.
+   */
+  rowSpacing() {
+    return this.rowHeight * (this['line-height'] || 1);
+  }
+
+
+  render(x, y) {
+    this.x = x;
+    this.y = y;
+    const attrs = this.attrs();
+    attrs.y = y + this.rowHeight * 0.8;  // kludge to account for baseline
+    const title = this.truncated ? ['title', {}, String(this.text)] : null;
+    if (this.rows.length === 1) {
+      const element = ['text', attrs, title, this.rows[0]];
+      renderedText.set(element, this);
+      return this.group([element]);
+    }
+    var rowX;
+    switch (this['text-align'] || this.inheritedAlign) {
+      case 'left':
+        rowX = this.x;
+        break;
+      case 'right':
+        attrs['text-anchor'] = 'end';
+        rowX = this.x + this.width;
+        break;
+      default:
+        attrs['text-anchor'] = 'middle';
+        rowX = this.x + this.width / 2;
+    }
+    const tspans = this.rows.map((row, i) => ['tspan', { x: rowX, y: attrs.y + i * this.rowSpacing() }, row]);
+    const element = ['text', attrs, title, ...tspans];
+    renderedText.set(element, this);
+    return this.group([element]);
+  }
+
+}
+
+
+/**
+ * Base class for Vbox and Hbox.  Do not use directly.
+ *
+ * Vbox and Hbox implement distinct layout() functions
+ * but the rest of the implementation is here.
+ */
+class Box extends Shape {
+
+
+  /**
+   * Creates a box shape.
+   *
+   * Children of a box may have a `margin` property, specified like
+   * `padding`, giving the space to leave around them. In a Vbox or Hbox,
+   * children may also have a `grow` property. Any space left over along the
+   * direction in which children are stacked is shared among children in
+   * proportion to their `grow`.
+   *
+   * @param {object} props
+   * @param {string} [props.align=center] - Horizontal alignment of content: 'left', 'center', 'right'.  Ignored unless `props.width` is set. In a Vbox, 'stretch' makes each child as wide as the content.
+   * @param {string} [props.fill=white] - Fill color for the shape.
+   * @param {number} [props.height] - Height of the box. By default, calculated from content and padding.
+   * @param {string} [props.justify] - In a Vbox or Hbox, how to distribute space left over along the direction in which children are stacked, instead of `align` or `valign`:
+   * 'space-between' - Evenly between the children.
+   * 'space-around' - Evenly around each child.
+   * @param {string} [props.overflow=visible] - How to handle content larger than a fixed `width` or `height`:
+   * 'visible' - Draw the content anyway.
+   * 'clip' - Clip the content to the box.
+   * 'ellipsis' - Truncate text, ending it with "…". The full text is shown as a tooltip.
+   * @param {(number|number[])} [props.padding=0] - Padding inside the box, in SVG units.
+   * Padding specified as an array follows the CSS standard:
+   * 10 or [10] - Set all padding to 10.
+   * [10, 20] - Set vertical padding to 10 and horizontal padding to 20.
+   * [10, 20, 30] - Set top padding to 10, horizontal padding to 20, and bottom padding to 30.
+   * [10, 20, 30, 40] - Set top padding to 10, right padding to 20, bottom padding to 30, and left padding to 40.
+   * @param {object} [props.ports] - Additional named ports where lines can connect. See `Shape.port`.
+   * @param {string} [props.stroke=black] - Stroke color for the shape.
+   * @param {number} [props.stroke_width=1] - Stroke width for the shape.
+   * @param {number} [props.width] - Width of the box. By default, calculated from content and padding.
+   * @param {string} [props.valign=middle] - Vertical alignment of content: 'top', 'middle', 'bottom'.  Ignored unless `props.height` is set. In an Hbox, 'stretch' makes each child as tall as the content.
+   */
+  constructor(props, ...children) {
+    super(props);
+    this.spacing = this.spacing || 0;
+    this.padding = this.padding || 0;
+    this.fill = this.fill || 'white';
+    this.stroke = this.stroke || 'black';
+    this['stroke-width'] = this['stroke-width'] || 0;
+    this.children = children.map(child =>
+      {
+        if (typeof(child) === 'string') {
+          return new Text({}, child);
+        } else {
+          return child;
+        }
+      });
+  }
+
+  attrs() {
+    const result = select(this, ['x', 'y', 'width', 'height', 'fill', 'rx', 'ry', 'stroke', 'stroke-dasharray', 'stroke-width']);
+    result['shape-rendering'] = 'geometricPrecision';
+    return result;
+  }
+
+  paddingNumber() {
+    if (!this.padding) {
+      return 0;
+    } else if (typeof(this.padding) === 'number') {
+      return this.padding;
+    } else {
+      return null;
+    }
+  }
+
+  paddingTop() {
+    var padding = this.paddingNumber();
+    if (padding !== null) {
+      return padding;
+    } else {
+      return this.padding[0];
+    }
+  }
+
+  paddingRight() {
+    var padding = this.paddingNumber();
+    if (padding !== null) {
+      return padding;
+    } else if (this.padding.length > 1) {
+      return this.padding[1];
+    } else {
+      return this.padding[0];
+    }
+  }
+
+  paddingBottom() {
+    var padding = this.paddingNumber();
+    if (padding !== null) {
+      return padding;
+    } else if (this.padding.length === 1) {
+      return this.padding[0];
+    } else if (this.padding.length === 2) {
+      return this.padding[0];
+    } else if (this.padding.length === 3) {
+      return this.padding[2];
+    } else {
+      return this.padding[2];
+    }
+  }
+
+  paddingLeft() {
+    var padding = this.paddingNumber();
+    if (padding !== null) {
+      return padding;
+    } else if (this.padding.length === 1) {
+      return this.padding[0];
+    } else if (this.padding.length === 2) {
+      return this.padding[1];
+    } else if (this.padding.length === 3) {
+      return this.padding[1];
+    } else {
+      return this.padding[3];
+    }
+  }
+
+  /**
+   * Returns `[before, between]`, the space to leave before the first child
+   * and the additional space to leave between children along the direction
+   * in which children are stacked. `extra` is the space left over after the
+   * children and spacing, and `alignment` is the box's alignment in that
+   * direction, which is used unless `justify` is set.
+   */
+  mainAxisSpace(extra, alignment, start, end) {
+    const n = this.children.length;
+    const free = Math.max(0, extra);
+    switch (this.justify) {
+      case 'space-between':
+        return n > 1 ? [0, free / (n - 1)] : [free / 2, 0];
+      case 'space-around':
+        return n > 0 ? [free / n / 2, free / n] : [0, 0];
+    }
+    switch (alignment) {
+      case start:
+        return [0, 0];
+      case end:
+        return [extra, 0];
+      default:
+        return [extra / 2, 0];
+    }
+  }
+
+  /**
+   * Returns the width available for the content of this box, or undefined
+   * if it is unlimited.
+   */
+  maxContentWidth() {
+    const width = this.width !== undefined ? this.width : this.availableWidth;
+    if (width === undefined) {
+      return undefined;
+    } else {
+      return width - this.paddingLeft() - this.paddingRight();
+    }
+  }
+
+  /**
+   * Returns the height available for the content of this box, or undefined
+   * if it is unlimited.
+   */
+  maxContentHeight() {
+    if (this.height === undefined) {
+      return undefined;
+    } else {
+      return this.height - this.paddingTop() - this.paddingBottom();
+    }
+  }
+
+  render(x, y) {
+    this.x = x;
+    this.y = y;
+    const rect = ['rect', this.attrs()];
+    var result = [];
+    this.children.forEach(child =>
+      {
+        result = result.concat(child.render(x + child.dx, y + child.dy));
+      });
+    if (this.overflow === 'clip') {
+      const outline = ['rect', select(rect[1], ['x', 'y', 'width', 'height', 'rx', 'ry'])];
+      return this.group([rect, ...this.clip(outline, result)]);
+    } else {
+      return this.group([rect, ...result]);
+    }
+  }
+
+}
+
+
+/**
+ * Box that stacks its children vertically.
+ */
+class Vbox extends Box {
+
+  constructor(props, ...children) {
+    super(props, ...children);
+  }
+
+  kind() {
+    return 'vbox';
+  }
+
+  layout() {
+
+    const n = this.children.length;
+    const indices = this.children.map((child, i) => i);
+    const margins = this.children.map(child => child.margins());
+    const marginH = i => margins[i][1] + margins[i][3];
+    const marginV = i => margins[i][0] + margins[i][2];
+    const outerWidth = i => this.children[i].width + marginH(i);
+    const outerHeight = i => this.children[i].height + marginV(i);
+
+    // Text is laid out last, so it can be truncated to fit whatever height is
+    // left over by the other children.
+
+    const maxContentWidth = this.maxContentWidth();
+    const isText = i => this.children[i] instanceof Text;
+    const texts = indices.filter(isText);
+    const others = indices.filter(i => !isText(i));
+    others.forEach(i =>
+      {
+        const child = this.children[i];
+        child.availableWidth = maxContentWidth === undefined ? undefined : maxContentWidth - marginH(i);
+        child.layout();
+      });
+
+    const maxContentHeight = this.maxContentHeight();
+    var textHeight;
+    if (maxContentHeight !== undefined) {
+      const otherHeight = others.reduce((sum, i) => sum + outerHeight(i), 0);
+      const spacing = this.spacing * (n - 1);
+      textHeight = (maxContentHeight - otherHeight - spacing) / texts.length;
+    }
+    texts.forEach(i =>
+      {
+        const child = this.children[i];
+        child.availableWidth = maxContentWidth === undefined ? undefined : maxContentWidth - marginH(i);
+        child.availableHeight = textHeight === undefined ? undefined : textHeight - marginV(i);
+        child.truncate = this.overflow === 'ellipsis';
+        child.inheritedAlign = this.align;
+        child.layout();
+      });
+
+    const contentWidth = Math.max(0, ...indices.map(outerWidth));
+    const crossWidth = this.width === undefined ? contentWidth : this.width - this.paddingLeft() - this.paddingRight();
+
+    if (this.align === 'stretch') {
+      others.forEach(i =>
+        {
+          const child = this.children[i];
+          const width = crossWidth - marginH(i);
+          if (child.width !== width) {
+            child.width = width;
+            child.layout();
+          }
+        });
+    }
+
+    const contentHeight = indices.reduce((sum, i) => sum + outerHeight(i), 0) + this.spacing * Math.max(0, n - 1);
+
+    var extraSpaceV;
+    if (this.height === undefined) {
+      extraSpaceV = 0;
+    } else {
+      extraSpaceV = this.height - this.paddingTop() - this.paddingBottom() - contentHeight;
+    }
+
+    const totalGrow = this.children.reduce((sum, child) => sum + (child.grow || 0), 0);
+    if (extraSpaceV > 0 && totalGrow > 0) {
+      indices.forEach(i =>
+        {
+          const child = this.children[i];
+          if (child.grow) {
+            child.height += extraSpaceV * child.grow / totalGrow;
+            if (!isText(i)) {
+              child.layout();
+            }
+          }
+        });
+      extraSpaceV = 0;
+    }
+
+    const [topSpace, gap] = this.mainAxisSpace(extraSpaceV, this.valign, 'top', 'bottom');
+
+    var y = this.paddingTop() + topSpace;
+    indices.forEach(i =>
+      {
+        const child = this.children[i];
+        if (i > 0) {
+          y += this.spacing + gap;
+        }
+
+        const extraSpaceH = crossWidth - outerWidth(i);
+
+        // Text isn't stretched, so it's centered instead.
+
+        var leftSpace;
+        switch (this.align === 'stretch' && isText(i) ? 'center' : this.align) {
+          case 'left':
+          case 'stretch':
+            leftSpace = 0;
+            break;
+          case 'right':
+            leftSpace = extraSpaceH;
+            break;
+          default:
+            leftSpace = extraSpaceH / 2;
+        }
+
+        child.dx = this.paddingLeft() + leftSpace + margins[i][3];
+        child.dy = y + margins[i][0];
+
+        y += outerHeight(i);
+      });
+
+    this.height = this.height || (y +  this.paddingBottom());
+    this.width = this.width || (contentWidth + this.paddingLeft() + this.paddingRight());
+
+  }
+
+}
+
+
+
+/**
+ * Box that stacks its children horizontally.
+ */
+class Hbox extends Box {
+
+  constructor(props, ...children) {
+    super(props, ...children);
+  }
+
+  kind() {
+    return 'hbox';
+  }
+
+  layout() {
+
+    const n = this.children.length;
+    const indices = this.children.map((child, i) => i);
+    const margins = this.children.map(child => child.margins());
+    const marginH = i => margins[i][1] + margins[i][3];
+    const marginV = i => margins[i][0] + margins[i][2];
+    const outerWidth = i => this.children[i].width + marginH(i);
+    const outerHeight = i => this.children[i].height + marginV(i);
+
+    // Other children get an equal share of the width, so text nested inside
+    // them can wrap. Text is laid out last, so it can wrap within whatever
+    // width is left over by the other children.
+
+    const maxContentWidth = this.maxContentWidth();
+    const isText = i => this.children[i] instanceof Text;
+    const texts = indices.filter(isText);
+    const others = indices.filter(i => !isText(i));
+    var shareWidth;
+    if (maxContentWidth !== undefined) {
+      shareWidth = (maxContentWidth - this.spacing * (n - 1)) / n;
+    }
+    others.forEach(i =>
+      {
+        const child = this.children[i];
+        child.availableWidth = shareWidth === undefined ? undefined : shareWidth - marginH(i);
+        child.layout();
+      });
+
+    var textWidth;
+    if (maxContentWidth !== undefined) {
+      const otherWidth = others.reduce((sum, i) => sum + outerWidth(i), 0);
+      const spacing = this.spacing * (n - 1);
+      textWidth = (maxContentWidth - otherWidth - spacing) / texts.length;
+    }
+    const maxContentHeight = this.maxContentHeight();
+    texts.forEach(i =>
+      {
+        const child = this.children[i];
+        child.availableWidth = textWidth === undefined ? undefined : textWidth - marginH(i);
+        child.availableHeight = maxContentHeight === undefined ? undefined : maxContentHeight - marginV(i);
+        child.truncate = this.overflow === 'ellipsis';
+        child.inheritedAlign = this.align;
+        child.layout();
+      });
+
+    const contentHeight = Math.max(0, ...indices.map(outerHeight));
+    const crossHeight = this.height === undefined ? contentHeight : this.height - this.paddingTop() - this.paddingBottom();
+
+    if (this.valign === 'stretch') {
+      others.forEach(i =>
+        {
+          const child = this.children[i];
+          const height = crossHeight - marginV(i);
+          if (child.height !== height) {
+            child.height = height;
+            child.layout();
+          }
+        });
+    }
+
+    const contentWidth = indices.reduce((sum, i) => sum + outerWidth(i), 0) + this.spacing * Math.max(0, n - 1);
+
+    var extraSpaceH;
+    if (this.width === undefined) {
+      extraSpaceH = 0;
+    } else {
+      extraSpaceH = this.width - this.paddingLeft() - this.paddingRight() - contentWidth;
+    }
+
+    const totalGrow = this.children.reduce((sum, child) => sum + (child.grow || 0), 0);
+    if (extraSpaceH > 0 && totalGrow > 0) {
+      indices.forEach(i =>
+        {
+          const child = this.children[i];
+          if (child.grow) {
+            child.width += extraSpaceH * child.grow / totalGrow;
+            if (!isText(i)) {
+              child.layout();
+            }
+          }
+        });
+      extraSpaceH = 0;
+    }
+
+    const [leftSpace, gap] = this.mainAxisSpace(extraSpaceH, this.align, 'left', 'right');
+
+    var x = this.paddingLeft() + leftSpace;
+    indices.forEach(i =>
+      {
+        const child = this.children[i];
+        if (i > 0) {
+          x += this.spacing + gap;
+        }
+
+        const extraSpaceV = crossHeight - outerHeight(i);
+
+        var topSpace;
+        switch (this.valign === 'stretch' && isText(i) ? 'middle' : this.valign) {
+          case 'top':
+          case 'stretch':
+            topSpace = 0;
+            break;
+          case 'bottom':
+            topSpace = extraSpaceV;
+            break;
+          default:
+            topSpace = extraSpaceV / 2;
+        }
+
+        child.dx = x + margins[i][3];
+        child.dy = this.paddingTop() + topSpace + margins[i][0];
+
+        x += outerWidth(i);
+
+      });
+
+    this.width = this.width || (x +  this.paddingRight());
+    this.height = this.height || (contentHeight + this.paddingTop() + this.paddingBottom());
+
+  }
+
+}
+
+
+/**
+ * Box that arranges its children in a grid, filling each row from left to
+ * right. Each column is as wide as its widest child, and each row as tall as
+ * its tallest child.
+ */
+class Grid extends Box {
+
+  /**
+   * Creates a grid.  Besides the properties of Box, children of a grid may
+   * have `colspan` and `rowspan` properties giving the number of columns and
+   * rows they span, and `cell_align` and `cell_valign` properties that
+   * override the grid's `align` and `valign` for their cell.
+   *
+   * @param {object} props
+   * @param {string} [props.align=center] - Horizontal alignment of each child within its cell, and of the grid within the box if `props.width` is set.
+   * @param {number} [props.column_spacing] - Space between columns. By default, `props.spacing`.
+   * @param {number} [props.columns=1] - Number of columns.
+   * @param {number} [props.row_spacing] - Space between rows. By default, `props.spacing`.
+   * @param {string} [props.valign=middle] - Vertical alignment of each child within its cell, and of the grid within the box if `props.height` is set.
+   */
+  constructor(props, ...children) {
+    super(props, ...children);
+    this.columns = this.columns || 1;
+  }
+
+  kind() {
+    return 'grid';
+  }
+
+  rowSpacing() {
+    return this['row-spacing'] !== undefined ? this['row-spacing'] : this.spacing;
+  }
+
+  columnSpacing() {
+    return this['column-spacing'] !== undefined ? this['column-spacing'] : this.spacing;
+  }
+
+  /**
+   * Assigns each child the `row`, `column`, `rowspan`, and `colspan` of the
+   * cells it occupies, skipping over cells taken by children spanning rows
+   * from above.  Returns the number of rows.
+   */
+  assignCells() {
+    const taken = [];
+    const isFree = (row, column, rowspan, colspan) =>
+      {
+        for (let r = row; r < row + rowspan; r++) {
+          for (let c = column; c < column + colspan; c++) {
+            if (taken[r] && taken[r][c]) {
+              return false;
+            }
+          }
+        }
+        return true;
+      };
+    var row = 0;
+    var column = 0;
+    var rows = 0;
+    this.cells = this.children.map(child =>
+      {
+        const colspan = Math.min(child.colspan || 1, this.columns);
+        const rowspan = child.rowspan || 1;
+        for (;;) {
+          if (column + colspan > this.columns) {
+            row += 1;
+            column = 0;
+          } else if (!isFree(row, column, rowspan, colspan)) {
+            column += 1;
+          } else {
+            break;
+          }
+        }
+        for (let r = row; r < row + rowspan; r++) {
+          taken[r] = taken[r] || [];
+          for (let c = column; c < column + colspan; c++) {
+            taken[r][c] = true;
+          }
+        }
+        const cell = { row: row, column: column, rowspan: rowspan, colspan: colspan };
+        rows = Math.max(rows, row + rowspan);
+        column += colspan;
+        return cell;
+      });
+    return rows;
+  }
+
+  /**
+   * Returns the sizes of the tracks (columns or rows) such that each child
+   * fits within the tracks it spans.  `size(i)` returns the size of child i
+   * and `span(i)` returns the `[first, count]` of the tracks it spans.
+   * Spanning children share any extra size they need equally among their
+   * tracks.
+   */
+  trackSizes(count, spacing, size, span) {
+    const result = new Array(count).fill(0);
+    const order = this.children.map((child, i) => i);
+    order.sort((a, b) => span(a)[1] - span(b)[1]);
+    order.forEach(i =>
+      {
+        const [first, n] = span(i);
+        var current = spacing * (n - 1);
+        for (let t = first; t < first + n; t++) {
+          current += result[t];
+        }
+        const extra = size(i) - current;
+        if (extra > 0) {
+          for (let t = first; t < first + n; t++) {
+            result[t] += extra / n;
+          }
+        }
+      });
+    return result;
+  }
+
+  layout() {
+
+    const rows = this.assignCells();
+    this.children.forEach(child =>
+      {
+        if (child instanceof Text) {
+          child.inheritedAlign = child['cell-align'] || this.align;
+        }
+        child.layout();
+      });
+
+    const columnSpacing = this.columnSpacing();
+    const rowSpacing = this.rowSpacing();
+    const widths = this.trackSizes(this.columns, columnSpacing,
+      i => this.children[i].width,
+      i => [this.cells[i].column, this.cells[i].colspan]);
+    const heights = this.trackSizes(rows, rowSpacing,
+      i => this.children[i].height,
+      i => [this.cells[i].row, this.cells[i].rowspan]);
+
+    const sum = (sizes, spacing) => sizes.reduce((a, b) => a + b, 0) + spacing * Math.max(0, sizes.length - 1);
+    const contentWidth = sum(widths, columnSpacing);
+    const contentHeight = sum(heights, rowSpacing);
+
+    const space = (extra, alignment, start, end) =>
+      {
+        switch (alignment) {
+          case start:
+            return 0;
+          case end:
+            return extra;
+          default:
+            return extra / 2;
+        }
+      };
+
+    const left = this.paddingLeft() + (this.width === undefined ? 0 :
+      space(this.width - this.paddingLeft() - this.paddingRight() - contentWidth, this.align, 'left', 'right'));
+    const top = this.paddingTop() + (this.height === undefined ? 0 :
+      space(this.height - this.paddingTop() - this.paddingBottom() - contentHeight, this.valign, 'top', 'bottom'));
+
+    this.children.forEach((child, i) =>
+      {
+        const cell = this.cells[i];
+        const x = left + sum(widths.slice(0, cell.column), columnSpacing) + (cell.column > 0 ? columnSpacing : 0);
+        const y = top + sum(heights.slice(0, cell.row), rowSpacing) + (cell.row > 0 ? rowSpacing : 0);
+        const width = sum(widths.slice(cell.column, cell.column + cell.colspan), columnSpacing);
+        const height = sum(heights.slice(cell.row, cell.row + cell.rowspan), rowSpacing);
+        child.dx = x + space(width - child.width, child['cell-align'] || this.align, 'left', 'right');
+        child.dy = y + space(height - child.height, child['cell-valign'] || this.valign, 'top', 'bottom');
+      });
+
+    this.width = this.width || (contentWidth + this.paddingLeft() + this.paddingRight());
+    this.height = this.height || (contentHeight + this.paddingTop() + this.paddingBottom());
+
+  }
+
+}
+
+
+class Ellipse extends Shape {
+
+  /**
+   * Creates an ellipse.
+   *
+   * @param {object} props
+   * @param {string} [props.overflow=visible] - How to handle a child larger than the ellipse. See Box.
+   * @param {(object|string)} [child] - Shape or text to center in the ellipse.
+   */
+  constructor(props, child) {
+    super(props);
+    this.width = this.width || 60;
+    this.height = this.height || this.width;
+    this.fill = this.fill || 'white';
+    this.stroke = this.stroke || 'black';
+    this['stroke-width'] = this['stroke-width'] || 1;
+    if (typeof(child) === 'string') {
+      this.child = new Text({}, child);
+    } else if (child) {
+      this.child = child;
+    }
+  }
+
+  kind() {
+    return 'ellipse';
+  }
+
+  svgAttrs() {
+    const result = select(this, ['fill', 'stroke', 'stroke-dasharray', 'stroke-width']);
+    result.rx = this.width / 2;
+    result.ry = this.height / 2;
+    result.cx = this.x + result.rx;
+    result.cy = this.y + result.ry;
+    result['shape-rendering'] = 'geometricPrecision';
+    return result;
+  }
+
+  layout() {
+    if (this.child) {
+      if (this.child instanceof Text && this.overflow === 'ellipsis') {
+        this.child.availableWidth = this.contentWidth();
+        this.child.availableHeight = this.contentHeight();
+        this.child.truncate = true;
+      }
+      this.child.layout();
+      this.child.dx = (this.width - this.child.width) / 2;
+      this.child.dy = (this.height - this.child.height) / 2;
+    }
+  }
+
+  /**
+   * Returns the point on the ellipse at the parametric angle `t`, with its
+   * true normal.
+   */
+  pointAt(t) {
+    const [a, b] = [this.width / 2, this.height / 2];
+    const [cx, cy] = this.center();
+    const nx = Math.cos(t) / a;
+    const ny = Math.sin(t) / b;
+    const n = Math.sqrt(nx * nx + ny * ny);
+    return [cx + a * Math.cos(t), cy + b * Math.sin(t), nx / n, ny / n];
+  }
+
+  /**
+   * Returns eight points around the ellipse, starting at the top and going
+   * clockwise.
+   */
+  connectionPoints() {
+    const result = [];
+    for (let i = 0; i < 8; i++) {
+      result.push(this.pointAt((i - 2) * Math.PI / 4));
+    }
+    return [0, 2, 4, 6, 1, 3, 5, 7].map(i => result[i]);
+  }
+
+  boundaryPoint([px, py]) {
+    const [cx, cy] = this.center();
+    if (px === cx && py === cy) {
+      return this.connectionPoints()[0];
+    }
+    return this.pointAt(Math.atan2((py - cy) * this.width, (px - cx) * this.height));
+  }
+
+  cornerPoints() {
+    return [-3, -1, 1, 3].map(i => this.pointAt(i * Math.PI / 4));
+  }
+
+  /**
+   * Spreads lines along the quarter of the ellipse centered on the side.
+   */
+  sidePoint(side, t) {
+    const q = Math.PI / 4;
+    switch (side) {
+      case 'top':
+        return this.pointAt(-3 * q + 2 * q * t);
+      case 'right':
+        return this.pointAt(-q + 2 * q * t);
+      case 'bottom':
+        return this.pointAt(3 * q - 2 * q * t);
+      case 'left':
+        return this.pointAt(5 * q - 2 * q * t);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Returns the width of the largest rectangle that fits within the ellipse.
+   */
+  contentWidth() {
+    return this.width * Math.SQRT1_2;
+  }
+
+  /**
+   * Returns the height of the largest rectangle that fits within the ellipse.
+   */
+  contentHeight() {
+    return this.height * Math.SQRT1_2;
+  }
+
+  render(x, y) {
+    this.x = x;
+    this.y = y;
+    const ellipse = ['ellipse', this.svgAttrs()];
+    if (!this.child) {
+      return this.group([ellipse]);
+    }
+    const result = this.child.render(x + this.child.dx, y + this.child.dy);
+    if (this.overflow === 'clip') {
+      const outline = ['ellipse', select(ellipse[1], ['cx', 'cy', 'rx', 'ry'])];
+      return this.group([ellipse, ...this.clip(outline, result)]);
+    } else {
+      return this.group([ellipse, ...result]);
+    }
+  }
+
+}
+
+
+
+class Database extends Shape {
+
+  /**
+   * Creates a database cylinder.
+   *
+   * @param {object} props
+   * @param {string} [props.overflow=visible] - How to handle a child larger than the cylinder. See Box.
+   * @param {(object|string)} [child] - Shape or text to center in the cylinder.
+   */
+  constructor(props, child) {
+    super(props);
+    this.width = this.width || 60;
+    this.height = this.height || this.width;
+    this.fill = this.fill || 'white';
+    this.stroke = this.stroke || 'black';
+    this['stroke-width'] = this['stroke-width'] || 1;
+    if (typeof(child) === 'string') {
+      this.child = new Text({}, child);
+    } else if (child) {
+      this.child = child;
+    }
+  }
+
+  kind() {
+    return 'db';
+  }
+
+  svgAttrs() {
+    const result = select(this, ['fill', 'stroke', 'stroke-dasharray', 'stroke-width']);
+    const dy = this.width / 4;
+    const [ x0, x1 ] = [ this.x, this.x + this.width ];
+    const [ y0, y1, y2, y3, y4 ] = [ this.y, this.y + dy, this.y + 2 * dy, this.y + this.height - dy, this.y + this.height ];
+    result.d = `M${x0} ${y1} L${x0} ${y3} C${x0} ${y4} ${x1} ${y4} ${x1} ${y3} L${x1} ${y1} C${x1} ${y0} ${x0} ${y0} ${x0} ${y1} C${x0} ${y2} ${x1} ${y2} ${x1} ${y1}`;
+    result['shape-rendering'] = 'geometricPrecision';
+    return result;
+  }
+
+  layout() {
+    if (this.child) {
+      if (this.child instanceof Text && this.overflow === 'ellipsis') {
+        this.child.availableWidth = this.contentWidth();
+        this.child.availableHeight = this.contentHeight();
+        this.child.truncate = true;
+      }
+      this.child.layout();
+      this.child.dx = (this.width - this.child.width) / 2;
+      this.child.dy = (this.height - this.child.height) / 2;
+    }
+  }
+
+  /**
+   * Returns the connection points at the top and bottom of the caps and the
+   * middle of each wall.
+   */
+  connectionPoints() {
+    const cap = this.width / 16;
+    const [cx, cy] = this.center();
+    return [
+      [cx, this.y + cap, 0, -1],
+      [this.x + this.width, cy, 1, 0],
+      [cx, this.y + this.height - cap, 0, 1],
+      [this.x, cy, -1, 0]
+    ];
+  }
+
+  /**
+   * Returns the corner points where the walls meet the caps.
+   */
+  cornerPoints() {
+    const dy = this.width / 4;
+    const [x0, x1] = [this.x, this.x + this.width];
+    const [y1, y3] = [this.y + dy, this.y + this.height - dy];
+    return [
+      [x0, y1, -1, 0],
+      [x1, y1, 1, 0],
+      [x1, y3, 1, 0],
+      [x0, y3, -1, 0]
+    ];
+  }
+
+  /**
+   * Spreads lines along the walls only.
+   */
+  sidePoint(side, t) {
+    const dy = this.width / 4;
+    const y = this.y + dy + t * (this.height - 2 * dy);
+    switch (side) {
+      case 'right':
+        return [this.x + this.width, y, 1, 0];
+      case 'left':
+        return [this.x, y, -1, 0];
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Returns true if the point `[x, y]` is inside the cylinder.  The curves of
+   * the caps are treated as half ellipses.
+   */
+  containsPoint([x, y]) {
+    const dy = this.width / 4;
+    const a = this.width / 2;
+    const b = 0.75 * dy;
+    const cx = this.x + a;
+    const [y1, y3] = [this.y + dy, this.y + this.height - dy];
+    if (x < this.x || x > this.x + this.width) {
+      return false;
+    } else if (y < y1) {
+      return ((x - cx) / a) ** 2 + ((y - y1) / b) ** 2 <= 1;
+    } else if (y > y3) {
+      return ((x - cx) / a) ** 2 + ((y - y3) / b) ** 2 <= 1;
+    } else {
+      return true;
+    }
+  }
+
+  /**
+   * Finds the outline by bisection along the ray, since the outline is made
+   * of several curves.
+   */
+  boundaryPoint([px, py]) {
+    const [cx, cy] = this.center();
+    const d = distance([cx, cy], [px, py]);
+    if (d === 0) {
+      return this.connectionPoints()[0];
+    }
+    const [ux, uy] = [(px - cx) / d, (py - cy) / d];
+    var lo = 0;
+    var hi = this.width + this.height;
+    for (let i = 0; i < 30; i++) {
+      const mid = (lo + hi) / 2;
+      if (this.containsPoint([cx + ux * mid, cy + uy * mid])) {
+        lo = mid;
+      } else {
+        hi = mid;
+      }
+    }
+    const [x, y] = [cx + ux * lo, cy + uy * lo];
+    const dy = this.width / 4;
+    const [y1, y3] = [this.y + dy, this.y + this.height - dy];
+    if (y >= y1 && y <= y3) {
+      return [x, y, Math.sign(ux), 0];
+    }
+    const a = this.width / 2;
+    const b = 0.75 * dy;
+    const nx = (x - cx) / (a * a);
+    const ny = (y - (y < y1 ? y1 : y3)) / (b * b);
+    const n = Math.sqrt(nx * nx + ny * ny);
+    return [x, y, nx / n, ny / n];
+  }
+
+  /**
+   * Returns the width of the body of the cylinder.
+   */
+  contentWidth() {
+    return this.width;
+  }
+
+  /**
+   * Returns the height of the body of the cylinder between the top and
+   * bottom caps.
+   */
+  contentHeight() {
+    return this.height - 3 * this.width / 4;
+  }
+
+  render(x, y) {
+    this.x = x;
+    this.y = y;
+    const path = ['path', this.svgAttrs()];
+    if (!this.child) {
+      return this.group([path]);
+    }
+    const result = this.child.render(x + this.child.dx, y + this.child.dy);
+    if (this.overflow === 'clip') {
+      return this.group([path, ...this.clip(['path', { d: path[1].d }], result)]);
+    } else {
+      return this.group([path, ...result]);
+    }
+  }
+
+}
+
+//       x0   x1  x2
+//          +---+         y0
+//          |   |         y1
+//          +---+         y2
+//            |
+//        ----+----       y3
+//            |
+//            +           y4
+//           / \
+//          /   \         y5
+//
+class User extends Shape {
+
+  constructor(props, child) {
+    super(props);
+    this.height = this.height || 80;
+    this.fill = this.fill || 'white';
+    this.stroke = this.stroke || 'black';
+    this['stroke-width'] = this['stroke-width'] || 1;
+  }
+
+  kind() {
+    return 'user';
+  }
+
+  svgAttrs() {
+    const result = select(this, ['fill', 'stroke', 'stroke-dasharray', 'stroke-width']);
+    const hr = this.height * 0.15; // head radius
+    const dy = this.width / 4;
+    const [ x0, x1, x2 ] = [ this.x, this.x + this.width / 2, this.x + this.width ];
+    const [ y0, y1, y2, y3, y4, y5] = [
+      this.y,
+      this.y + hr,
+      this.y + 2 * hr,
+      this.y + this.height * 0.4,
+      this.y + this.height - 2 * hr,
+      this.y + this.height
+    ];
+    result.d = `M${x1} ${y2}
+    A ${hr} ${hr} 0 1 1 ${x1} ${y0}
+    A ${hr} ${hr} 0 0 1 ${x1} ${y2}
+    L ${x1} ${y4}
+    M ${x0} ${y3}
+    L ${x2} ${y3}
+    M ${x0} ${y5}
+    L ${x1} ${y4}
+    L ${x2} ${y5}
+    `;
+    //L${x0} ${y3} C${x0} ${y4} ${x1} ${y4} ${x1} ${y3} L${x1} ${y1} C${x1} ${y0} ${x0} ${y0} ${x0} ${y1} C${x0} ${y2} ${x1} ${y2} ${x1} ${y1}`;
+    result['shape-rendering'] = 'geometricPrecision';
+    return result;
+  }
+
+  /**
+   * Returns the connection points at the top of the head, the ends of the
+   * arms, and between the feet.
+   */
+  connectionPoints() {
+    const [cx, cy] = [this.x + this.width / 2, this.y + this.height * 0.4];
+    return [
+      [cx, this.y, 0, -1],
+      [this.x + this.width, cy, 1, 0],
+      [cx, this.y + this.height, 0, 1],
+      [this.x, cy, -1, 0]
+    ];
+  }
+
+  /**
+   * Lines aren't spread along the sides of a stick figure.
+   */
+  sidePoint(side, t) {
+    return null;
+  }
+
+  layout() {
+    this.width = this.height * 0.5;
+  }
+
+  render(x, y) {
+    this.x = x;
+    this.y = y;
+    return this.group([['path', this.svgAttrs()]]);
+  }
+
+}
+
+
+//--- Text Measurement -----------------------------------------------------------------------------
+//
+// A measurer is an object with a method `measure(text, font)` that returns an
+// object with the `width` and `height` of `text` when drawn in `font`. `font`
+// is an object with the properties `family`, `size`, and `weight`, any of
+// which may be undefined, meaning the default for the measurer.
+//
+
+
+/**
+ * Measurer that uses a hidden SVG element on the page to render and measure
+ * text. Results match what the browser draws, but depend on the fonts
+ * installed, and measurement only works in a browser.
+ */
+class DomMeasurer {
+
+  measure(text, font) {
+    var measureSvg = document.getElementById('measureSvg');
+    if (!measureSvg) {
+      measureSvg = document.createElementNS(SVG_NS, 'svg');
+      measureSvg.setAttribute('id', 'measureSvg');
+      measureSvg.setAttribute('width', 0);
+      measureSvg.setAttribute('height', 0);
+      document.body.appendChild(measureSvg);
+    }
+    while (measureSvg.firstChild) {
+      measureSvg.removeChild(measureSvg.lastChild);
+    }
+    const textEl = document.createElementNS(SVG_NS, 'text');
+    measureSvg.appendChild(textEl);
+    const attrs = {
+      'font-family': font.family,
+      'font-size': font.size,
+      'font-weight': font.weight
+    };
+    for (var k in attrs) {
+      if (attrs[k] !== undefined) {
+        textEl.setAttribute(k, attrs[k]);
+      }
+    }
+    textEl.setAttribute('x', 0);
+    textEl.setAttribute('y', 0);
+    const textNode = document.createTextNode(text);
+    textEl.appendChild(textNode);
+    return textEl.getBBox();
+  }
+
+}
+
+
+//
+// Advance widths of the printable ASCII characters, from space (32) through
+// tilde (126), in thousandths of an em. Taken from the AFM files of the
+// standard PostScript fonts, whose metrics match Arial, Times New Roman,
+// and Courier New closely.
+//
+// `others` gives the widths of some characters outside that range, and
+// `fallback` is used for any other character.  `ascent` and `descent` are
+// in ems and give the height of a line of text.
+//
+const fontMetrics = {
+  'sans-serif': {
+    others: { '\u2026': 1000 },
+    ascent: 0.905,
+    descent: 0.212,
+    fallback: 556,
+    widths: [
+      278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+      556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+      1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+      667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+      333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+      556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ]
+  },
+  'sans-serif-bold': {
+    others: { '\u2026': 1000 },
+    ascent: 0.905,
+    descent: 0.212,
+    fallback: 611,
+    widths: [
+      278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+      556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+      975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+      667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+      333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+      611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+  },
+  'serif': {
+    others: { '\u2026': 1000 },
+    ascent: 0.891,
+    descent: 0.216,
+    fallback: 500,
+    widths: [
+      250, 333, 408, 500, 500, 833, 778, 180, 333, 333, 500, 564, 250, 333, 250, 278,
+      500, 500, 500, 500, 500, 500, 500, 500, 500, 500, 278, 278, 564, 564, 564, 444,
+      921, 722, 667, 667, 722, 611, 556, 722, 722, 333, 389, 722, 611, 889, 722, 722,
+      556, 722, 667, 556, 611, 722, 722, 944, 722, 722, 611, 333, 278, 333, 469, 500,
+      333, 444, 500, 444, 500, 444, 333, 500, 500, 278, 278, 500, 278, 778, 500, 500,
+      500, 500, 333, 389, 278, 500, 500, 722, 500, 500, 444, 480, 200, 480, 541
+    ]
+  },
+  'serif-bold': {
+    others: { '\u2026': 1000 },
+    ascent: 0.891,
+    descent: 0.216,
+    fallback: 556,
+    widths: [
+      250, 333, 555, 500, 500, 1000, 833, 278, 333, 333, 500, 570, 250, 333, 250, 278,
+      500, 500, 500, 500, 500, 500, 500, 500, 500, 500, 333, 333, 570, 570, 570, 500,
+      930, 722, 667, 722, 722, 667, 611, 778, 778, 389, 500, 778, 667, 944, 722, 778,
+      611, 778, 722, 556, 667, 722, 722, 1000, 722, 722, 667, 333, 278, 333, 581, 500,
+      333, 500, 556, 444, 556, 444, 333, 500, 556, 278, 333, 556, 278, 833, 556, 500,
+      556, 556, 444, 389, 333, 556, 500, 722, 500, 500, 444, 394, 220, 394, 520
+    ]
+  },
+  'monospace': {
+    ascent: 0.833,
+    descent: 0.300,
+    fallback: 600
+  },
+  'monospace-bold': {
+    ascent: 0.833,
+    descent: 0.300,
+    fallback: 600
+  }
+};
+
+
+/**
+ * Returns the generic family ('sans-serif', 'serif', or 'monospace') that
+ * best matches the given CSS font family list.
+ */
+function genericFontFamily(family) {
+  const f = (family || '').toLowerCase();
+  if (/mono|courier|consol/.test(f)) {
+    return 'monospace';
+  } else if (/sans/.test(f)) {
+    return 'sans-serif';
+  } else if (/serif|times|georgia|garamond|palatino/.test(f)) {
+    return 'serif';
+  } else {
+    return 'sans-serif';
+  }
+}
+
+
+/**
+ * Returns true if the given CSS font weight is bold.
+ */
+function isBold(weight) {
+  return weight === 'bold' || weight === 'bolder' || Number(weight) >= 600;
+}
+
+
+/**
+ * Measurer that calculates text size from the bundled font metrics tables.
+ * Results are deterministic and need no DOM, at the cost of only
+ * approximating the fonts actually used to draw the text.  Fonts are mapped
+ * to the closest of sans-serif, serif, or monospace, each with a bold
+ * variant.  Unspecified fonts are treated as 16-unit sans-serif.
+ */
+class FontMetricsMeasurer {
+
+  measure(text, font) {
+    const size = Number(font.size || 16);
+    const family = genericFontFamily(font.family);
+    const metrics = fontMetrics[isBold(font.weight) ? family + '-bold' : family];
+    var width = 0;
+    for (let i = 0; i < text.length; i++) {
+      const c = text.charCodeAt(i) - 32;
+      if (metrics.widths && c >= 0 && c < metrics.widths.length) {
+        width += metrics.widths[c];
+      } else if (metrics.others && metrics.others[text[i]]) {
+        width += metrics.others[text[i]];
+      } else {
+        width += metrics.fallback;
+      }
+    }
+    return {
+      width: width * size / 1000,
+      height: (metrics.ascent + metrics.descent) * size
+    };
+  }
+
+}
+
+
+/**
+ * Measurer used to lay out text, or null to choose one based on the
+ * environment.  See `setMeasurer`.
+ */
+let measurer = null;
+
+
+/**
+ * Returns the measurer to use for laying out text.  Unless one has been
+ * set, measures using the DOM in a browser and font metrics elsewhere.
+ */
+function currentMeasurer() {
+  if (!measurer) {
+    if (typeof(document) === 'undefined') {
+      measurer = new FontMetricsMeasurer();
+    } else {
+      measurer = new DomMeasurer();
+    }
+  }
+  return measurer;
+}
+
+
+//--- Layout -----------------------------------------------------------------------------
+
+
+/**
+ * Default space between ranks of an automatic layout, in SVG units.
+ */
+const RANK_SPACING = 50;
+
+/**
+ * Default space between neighboring shapes in the same rank of an automatic
+ * layout, in SVG units.
+ */
+const NODE_SPACING = 30;
+
+/**
+ * Number of sweeps through the ranks made when ordering and positioning
+ * shapes in a layered layout.
+ */
+const LAYOUT_SWEEPS = 8;
+
+/**
+ * Returns the edges between `shapes` implied by the diagram's lines, as
+ * pairs of indexes into `shapes`.  A line joined to a shape nested within
+ * one of `shapes` counts as joined to that shape.  Lines joined to any other
+ * shapes, and lines from a shape to itself, are ignored.
+ */
+function layoutEdges(diagram, shapes) {
+  const indexOf = shape => shapes.findIndex(s => s === shape || s.containsShape(shape));
+  const edges = [];
+  (diagram.lines || []).forEach(line =>
+    {
+      if (line.findEnd && line.from !== undefined && line.to !== undefined) {
+        const [fromShape] = line.findEnd(diagram, line.from);
+        const [toShape] = line.findEnd(diagram, line.to);
+        const i = fromShape ? indexOf(fromShape) : -1;
+        const j = toShape ? indexOf(toShape) : -1;
+        if (i >= 0 && j >= 0 && i !== j) {
+          edges.push([i, j]);
+        }
+      }
+    });
+  return edges;
+}
+
+/**
+ * Assigns a rank to each of `count` nodes joined by `edges`, such that each
+ * edge goes from a lower rank to a higher one.  Edges that would form a
+ * cycle are reversed.  Returns an object with `ranks`, the rank of each
+ * node, and `edges`, the edges after reversal.
+ */
+function rankNodes(count, edges) {
+
+  const out = [...Array(count)].map(() => []);
+  edges.forEach(([i, j]) => out[i].push(j));
+
+  // A depth-first search finds the edges that lead back to a node still
+  // being visited. Those are reversed. Nodes end up in topological order.
+
+  const visiting = 1;
+  const visited = 2;
+  const state = new Array(count).fill(0);
+  const order = [];
+  const acyclic = [...Array(count)].map(() => []);
+
+  const visit = i =>
+    {
+      state[i] = visiting;
+      out[i].forEach(j =>
+        {
+          if (state[j] === visiting) {
+            acyclic[j].push(i);
+          } else {
+            acyclic[i].push(j);
+            if (!state[j]) {
+              visit(j);
+            }
+          }
+        });
+      state[i] = visited;
+      order.unshift(i);
+    };
+
+  for (let i = 0; i < count; i++) {
+    if (!state[i]) {
+      visit(i);
+    }
+  }
+
+  const ranks = new Array(count).fill(0);
+  order.forEach(i => acyclic[i].forEach(j => { ranks[j] = Math.max(ranks[j], ranks[i] + 1); }));
+
+  return {
+    ranks: ranks,
+    edges: acyclic.flatMap((js, i) => js.map(j => [i, j]))
+  };
+}
+
+/**
+ * Returns the number of places where edges between adjacent layers cross.
+ */
+function countCrossings(layers) {
+  var count = 0;
+  layers.forEach(layer =>
+    {
+      const edges = layer.flatMap(node => node.down.map(next => [node.order, next.order]));
+      for (let i = 0; i < edges.length; i++) {
+        for (let j = i + 1; j < edges.length; j++) {
+          if ((edges[i][0] - edges[j][0]) * (edges[i][1] - edges[j][1]) < 0) {
+            count++;
+          }
+        }
+      }
+    });
+  return count;
+}
+
+/**
+ * Returns the layers in the order to visit them in the given sweep, which
+ * alternate between going down, skipping the first layer, and going up,
+ * skipping the last.
+ */
+function sweepLayers(layers, sweep) {
+  return sweep % 2 === 0 ? layers.slice(1) : layers.slice(0, -1).reverse();
+}
+
+/**
+ * Returns the average of `f(node)` over the neighbors of `node` in the layer
+ * visited before its own in the given sweep, or `fallback` if there are none.
+ */
+function neighborAverage(node, sweep, f, fallback) {
+  const neighbors = sweep % 2 === 0 ? node.up : node.down;
+  if (neighbors.length === 0) {
+    return fallback;
+  }
+  return neighbors.reduce((sum, neighbor) => sum + f(neighbor), 0) / neighbors.length;
+}
+
+/**
+ * Reorders the nodes within each layer to reduce the number of crossing
+ * edges, by repeatedly sorting each layer by the average order of each
+ * node's neighbors in the layer before it.  Sets the `order` of each node.
+ */
+function orderLayers(layers) {
+
+  const setOrder = layer => layer.forEach((node, i) => { node.order = i; });
+  layers.forEach(setOrder);
+
+  var best = layers.map(layer => layer.slice());
+  var bestCrossings = countCrossings(layers);
+
+  for (let sweep = 0; sweep < LAYOUT_SWEEPS && bestCrossings > 0; sweep++) {
+    sweepLayers(layers, sweep).forEach(layer =>
+      {
+        layer.forEach(node => { node.barycenter = neighborAverage(node, sweep, n => n.order, node.order); });
+        layer.sort((a, b) => a.barycenter - b.barycenter);
+        setOrder(layer);
+      });
+    const crossings = countCrossings(layers);
+    if (crossings < bestCrossings) {
+      best = layers.map(layer => layer.slice());
+      bestCrossings = crossings;
+    }
+  }
+
+  best.forEach((layer, i) =>
+    {
+      layers[i] = layer;
+      setOrder(layer);
+    });
+}
+
+/**
+ * Sets the `pos` of each node, the position of its center along its layer,
+ * so that nodes line up with their neighbors in other layers where possible.
+ * Nodes of size `size` are kept at least `spacing` apart.
+ */
+function positionLayers(layers, spacing) {
+
+  const separation = (a, b) => (a.size + b.size) / 2 + spacing;
+
+  layers.forEach(layer =>
+    {
+      var pos = 0;
+      layer.forEach((node, i) =>
+        {
+          if (i > 0) {
+            pos += separation(layer[i - 1], node);
+          }
+          node.pos = pos;
+        });
+      layer.forEach(node => { node.pos -= pos / 2; });
+    });
+
+  // Each node is moved toward the average position of its neighbors. Where
+  // that would bring nodes too close, they're pushed apart once toward the
+  // right and once toward the left, and the two results are averaged.
+
+  for (let sweep = 0; sweep < LAYOUT_SWEEPS; sweep++) {
+    sweepLayers(layers, sweep).forEach(layer =>
+      {
+        const desired = layer.map(node => neighborAverage(node, sweep, n => n.pos, node.pos));
+        const right = desired.slice();
+        for (let i = 1; i < layer.length; i++) {
+          right[i] = Math.max(right[i], right[i - 1] + separation(layer[i - 1], layer[i]));
+        }
+        const left = desired.slice();
+        for (let i = layer.length - 2; i >= 0; i--) {
+          left[i] = Math.min(left[i], left[i + 1] - separation(layer[i], layer[i + 1]));
+        }
+        layer.forEach((node, i) => { node.pos = (left[i] + right[i]) / 2; });
+      });
+  }
+}
+
+/**
+ * Positions `shapes` in ranks so that the diagram's lines between them flow
+ * in the diagram's `direction`.  This is a Sugiyama-style layout: shapes are
+ * assigned ranks, placeholder nodes are added where lines span more than
+ * one rank, nodes are reordered within ranks to reduce crossings, and
+ * finally each node is positioned along its rank.
+ */
+function layeredLayout(diagram, shapes) {
+
+  if (shapes.length === 0) {
+    return;
+  }
+
+  const options = diagram.options;
+  const direction = options.direction || 'TB';
+  if (!['TB', 'BT', 'LR', 'RL'].includes(direction)) {
+    console.warn(`Unknown layout direction ${direction}`);
+  }
+  const horizontal = direction === 'LR' || direction === 'RL';
+  const reversed = direction === 'BT' || direction === 'RL';
+  const rankSpacing = options['rank_spacing'] !== undefined ? options['rank_spacing'] : RANK_SPACING;
+  const nodeSpacing = options['node_spacing'] !== undefined ? options['node_spacing'] : NODE_SPACING;
+
+  shapes.forEach(shape => shape.layout());
+
+  const { ranks, edges } = rankNodes(shapes.length, layoutEdges(diagram, shapes));
+
+  // A node's `size` is its extent along its rank, and its `depth` is its
+  // extent in the direction of the lines.
+
+  const nodes = shapes.map((shape, i) => (
+    {
+      shape: shape,
+      rank: ranks[i],
+      size: horizontal ? shape.height : shape.width,
+      depth: horizontal ? shape.width : shape.height,
+      up: [],
+      down: []
+    }));
+
+  const link = (node, next) =>
+    {
+      node.down.push(next);
+      next.up.push(node);
+    };
+
+  edges.forEach(([i, j]) =>
+    {
+      var node = nodes[i];
+      for (let rank = node.rank + 1; rank < nodes[j].rank; rank++) {
+        const placeholder = { rank: rank, size: 0, depth: 0, up: [], down: [] };
+        nodes.push(placeholder);
+        link(node, placeholder);
+        node = placeholder;
+      }
+      link(node, nodes[j]);
+    });
+
+  const layers = [];
+  nodes.forEach(node =>
+    {
+      layers[node.rank] = layers[node.rank] || [];
+      layers[node.rank].push(node);
+    });
+
+  orderLayers(layers);
+  positionLayers(layers, nodeSpacing);
+
+  const depths = layers.map(layer => Math.max(...layer.map(node => node.depth)));
+  const rankStart = [];
+  var offset = 0;
+  const rankIndexes = layers.map((layer, rank) => rank);
+  (reversed ? rankIndexes.reverse() : rankIndexes).forEach(rank =>
+    {
+      rankStart[rank] = offset;
+      offset += depths[rank] + rankSpacing;
+    });
+
+  const minPos = Math.min(...nodes.map(node => node.pos - node.size / 2));
+
+  nodes.forEach(node =>
+    {
+      if (node.shape) {
+        const along = node.pos - node.size / 2 - minPos;
+        const across = rankStart[node.rank] + (depths[node.rank] - node.depth) / 2;
+        node.shape.x = horizontal ? across : along;
+        node.shape.y = horizontal ? along : across;
+      }
+    });
+}
+
+/**
+ * Default space between shapes joined by a line in a force layout, in SVG
+ * units.
+ */
+const LINK_LENGTH = 80;
+
+/**
+ * Number of steps simulated by a force layout.
+ */
+const FORCE_ITERATIONS = 300;
+
+/**
+ * Strength of the pull of each shape in a force layout toward the center of
+ * all of them, which keeps shapes that aren't joined by lines from drifting
+ * away.
+ */
+const FORCE_GRAVITY = 0.1;
+
+/**
+ * Distance, as a multiple of the preferred distance between two shapes,
+ * beyond which they no longer repel each other in a force layout.
+ */
+const REPULSION_RANGE = 2;
+
+/**
+ * Returns a function that returns pseudo-random numbers between 0 and 1,
+ * always the same sequence for the same `seed`.  This is the Mulberry32
+ * generator.
+ */
+function seededRandom(seed) {
+  var a = seed >>> 0;
+  return () =>
+    {
+      a = (a + 0x6D2B79F5) >>> 0;
+      var t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Pushes apart nodes whose boxes, grown by `spacing`, overlap.  Each pair is
+ * separated along whichever axis needs the smaller move.  Pinned nodes are
+ * never moved.
+ */
+function separateNodes(nodes, spacing, passes) {
+  for (let pass = 0; pass < passes; pass++) {
+    var moved = false;
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const a = nodes[i];
+        const b = nodes[j];
+        if (a.pinned && b.pinned) {
+          continue;
+        }
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const overlapX = (a.width + b.width) / 2 + spacing - Math.abs(dx);
+        const overlapY = (a.height + b.height) / 2 + spacing - Math.abs(dy);
+        if (overlapX > 0 && overlapY > 0) {
+          const share = a.pinned || b.pinned ? 1 : 0.5;
+          const [mx, my] = overlapX < overlapY ? [(dx < 0 ? -1 : 1) * overlapX, 0] : [0, (dy < 0 ? -1 : 1) * overlapY];
+          if (!a.pinned) {
+            a.x -= mx * share;
+            a.y -= my * share;
+          }
+          if (!b.pinned) {
+            b.x += mx * share;
+            b.y += my * share;
+          }
+          moved = true;
+        }
+      }
+    }
+    if (!moved) {
+      return;
+    }
+  }
+}
+
+/**
+ * Positions `shapes` with a force-directed layout: shapes repel each other,
+ * while the diagram's lines pull the shapes they join together, so joined
+ * shapes end up near each other.  Repulsion fades out with distance and a
+ * weak pull toward the center keeps shapes that no line joins from
+ * drifting away.  Top-level shapes that already have `x`
+ * and `y` coordinates take part but aren't moved.  Starting positions are
+ * random but seeded, so the layout is the same every time.
+ */
+function forceLayout(diagram, shapes) {
+
+  if (shapes.length === 0) {
+    return;
+  }
+
+  const options = diagram.options;
+  const linkLength = options['link_length'] !== undefined ? options['link_length'] : LINK_LENGTH;
+  const spacing = options['node_spacing'] !== undefined ? options['node_spacing'] : NODE_SPACING;
+  const random = seededRandom(options.seed !== undefined ? options.seed : 1);
+
+  const pinned = diagram.shapes.filter(shape => shape.x !== undefined && shape.y !== undefined);
+  const all = shapes.concat(pinned);
+  all.forEach(shape => shape.layout());
+
+  // Nodes are positioned by their centers. The preferred distance between
+  // two nodes allows for their sizes, taking each as a circle around its box.
+
+  const nodes = all.map(shape => (
+    {
+      shape: shape,
+      pinned: pinned.includes(shape),
+      x: shape.x === undefined ? undefined : shape.x + shape.width / 2,
+      y: shape.y === undefined ? undefined : shape.y + shape.height / 2,
+      width: shape.width,
+      height: shape.height,
+      radius: Math.hypot(shape.width, shape.height) / 2
+    }));
+  const idealDistance = (a, b) => a.radius + b.radius + linkLength;
+  const edges = layoutEdges(diagram, all).map(([i, j]) => [nodes[i], nodes[j]]);
+
+  const averageDistance = nodes.reduce((sum, node) => sum + 2 * node.radius + linkLength, 0) / nodes.length;
+  const extent = Math.sqrt(nodes.length) * averageDistance;
+  const anchors = nodes.filter(node => node.pinned);
+  const [cx, cy] = anchors.length === 0 ? [0, 0] : [
+    anchors.reduce((sum, node) => sum + node.x, 0) / anchors.length,
+    anchors.reduce((sum, node) => sum + node.y, 0) / anchors.length
+  ];
+  nodes.forEach(node =>
+    {
+      if (!node.pinned) {
+        node.x = cx + (random() - 0.5) * extent;
+        node.y = cy + (random() - 0.5) * extent;
+      }
+    });
+
+  // Each step, nodes move by the sum of the forces on them, limited to a
+  // distance that shrinks as the simulation cools.
+
+  for (let step = 0; step < FORCE_ITERATIONS; step++) {
+
+    nodes.forEach(node => { node.fx = 0; node.fy = 0; });
+
+    const push = (a, b, force) =>
+      {
+        var dx = a.x - b.x;
+        var dy = a.y - b.y;
+        var d = Math.hypot(dx, dy);
+        if (d < 0.01) {
+          const angle = random() * 2 * Math.PI;
+          [dx, dy, d] = [Math.cos(angle), Math.sin(angle), 1];
+        }
+        const f = force(d, idealDistance(a, b));
+        a.fx += dx / d * f;
+        a.fy += dy / d * f;
+        b.fx -= dx / d * f;
+        b.fy -= dy / d * f;
+      };
+
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        push(nodes[i], nodes[j], (d, ideal) => d > REPULSION_RANGE * ideal ? 0 : ideal * ideal / d);
+      }
+    }
+    edges.forEach(([a, b]) => push(a, b, (d, ideal) => -d * d / ideal));
+
+    const mx = nodes.reduce((sum, node) => sum + node.x, 0) / nodes.length;
+    const my = nodes.reduce((sum, node) => sum + node.y, 0) / nodes.length;
+    nodes.forEach(node =>
+      {
+        node.fx += (mx - node.x) * FORCE_GRAVITY;
+        node.fy += (my - node.y) * FORCE_GRAVITY;
+      });
+
+    const limit = averageDistance * (1 - step / FORCE_ITERATIONS);
+    nodes.forEach(node =>
+      {
+        const f = Math.hypot(node.fx, node.fy);
+        if (!node.pinned && f > 0) {
+          node.x += node.fx / f * Math.min(f, limit);
+          node.y += node.fy / f * Math.min(f, limit);
+        }
+      });
+
+    separateNodes(nodes, spacing, 1);
+  }
+
+  separateNodes(nodes, spacing, 100);
+
+  // Without anchors, the layout is moved to start at the origin.
+
+  const free = nodes.filter(node => !node.pinned);
+  const [ox, oy] = anchors.length > 0 ? [0, 0] : [
+    Math.min(...free.map(node => node.x - node.width / 2)),
+    Math.min(...free.map(node => node.y - node.height / 2))
+  ];
+  free.forEach(node =>
+    {
+      node.shape.x = node.x - node.width / 2 - ox;
+      node.shape.y = node.y - node.height / 2 - oy;
+    });
+}
+
+/**
+ * Automatic layouts, by name.  Each is a function taking the diagram and
+ * the top-level shapes to position.
+ */
+const layouts = {
+  'layered': layeredLayout,
+  'force': forceLayout
+};
+
+
+
+//--- Routing -----------------------------------------------------------------------------
+
+
+/**
+ * Distance by which orthogonal routes stay clear of shapes.
+ */
+const ROUTE_MARGIN = 10;
+
+
+/**
+ * Cost of a bend in an orthogonal route, in SVG units of length.
+ */
+const BEND_COST = 20;
+
+
+/**
+ * Returns the rectangles, as objects with `left`, `top`, `right`, and
+ * `bottom` properties, that a line from `fromShape` to `toShape` must route
+ * around.  These are the outermost shapes that don't contain either end,
+ * plus the end shapes themselves.
+ */
+function obstacles(diagram, fromShape, toShape) {
+  const result = [];
+  const visit = shape =>
+    {
+      if (shape.containsShape(fromShape) || shape.containsShape(toShape)) {
+        shape.childShapes().forEach(visit);
+      } else if (shape.x !== undefined) {
+        result.push({
+          left: shape.x,
+          top: shape.y,
+          right: shape.x + shape.width,
+          bottom: shape.y + shape.height
+        });
+      }
+    };
+  diagram.shapes.forEach(visit);
+  return result;
+}
+
+
+/**
+ * Minimal binary heap of `[priority, value]` pairs, used for path finding.
+ */
+class PriorityQueue {
+
+  constructor() {
+    this.items = [];
+  }
+
+  get length() {
+    return this.items.length;
+  }
+
+  push(priority, value) {
+    const items = this.items;
+    items.push([priority, value]);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent][0] <= items[i][0]) {
+        break;
+      }
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let smallest = i;
+        if (l < items.length && items[l][0] < items[smallest][0]) {
+          smallest = l;
+        }
+        if (r < items.length && items[r][0] < items[smallest][0]) {
+          smallest = r;
+        }
+        if (smallest === i) {
+          break;
+        }
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top[1];
+  }
+
+}
+
+
+/**
+ * Removes points that lie on a straight line between their neighbours.
+ */
+function simplifyPoints(points) {
+  return points.filter((p, i) =>
+    {
+      if (i === 0 || i === points.length - 1) {
+        return true;
+      }
+      const [x0, y0] = points[i - 1];
+      const [x1, y1] = p;
+      const [x2, y2] = points[i + 1];
+      return Math.abs((x1 - x0) * (y2 - y1) - (y1 - y0) * (x2 - x1)) > 1e-9;
+    });
+}
+
+
+/**
+ * Returns an array of `[x, y]` points for a route between the connection
+ * points `fromPoint` and `toPoint` made up only of horizontal and vertical
+ * segments.  The route leaves and enters along the normals of the
+ * connection points and avoids the `rects` returned by `obstacles`.
+ *
+ * The route is the cheapest path, counting length plus a penalty for each
+ * bend, through a grid of the lines running along the edges of the
+ * obstacles, offset by `ROUTE_MARGIN`.  The first and last segments are
+ * longer by `fromExtent` and `toExtent`, the lengths of the markers at each
+ * end, so that the markers don't reach past the bends.
+ */
+function orthogonalRoute(fromPoint, toPoint, rects, fromExtent, toExtent) {
+
+  // Routes leave and enter along whichever axis is closest to the normal
+  const axis = ([, , nx, ny]) => Math.abs(nx) >= Math.abs(ny) ? [Math.sign(nx), 0] : [0, Math.sign(ny)];
+  const [fx, fy] = fromPoint;
+  const [tx, ty] = toPoint;
+  const [fnx, fny] = axis(fromPoint);
+  const [tnx, tny] = axis(toPoint);
+  const fromMargin = ROUTE_MARGIN + (fromExtent || 0);
+  const toMargin = ROUTE_MARGIN + (toExtent || 0);
+  const start = [fx + fnx * fromMargin, fy + fny * fromMargin];
+  const end = [tx + tnx * toMargin, ty + tny * toMargin];
+  const startDir = fnx !== 0 ? 0 : 1;  // 0 = horizontal, 1 = vertical
+  const endDir = tnx !== 0 ? 0 : 1;
+
+  const inflated = rects.map(r => ({
+    left: r.left - ROUTE_MARGIN,
+    top: r.top - ROUTE_MARGIN,
+    right: r.right + ROUTE_MARGIN,
+    bottom: r.bottom + ROUTE_MARGIN
+  }));
+
+  const unique = vs => [...new Set(vs)].sort((a, b) => a - b);
+  const xs = unique([start[0], end[0], (start[0] + end[0]) / 2, ...inflated.flatMap(r => [r.left, r.right])]);
+  const ys = unique([start[1], end[1], (start[1] + end[1]) / 2, ...inflated.flatMap(r => [r.top, r.bottom])]);
+
+  const inside = (x, y) => inflated.some(r => x > r.left && x < r.right && y > r.top && y < r.bottom);
+
+  const key = (i, j, dir) => (j * xs.length + i) * 2 + dir;
+  const si = xs.indexOf(start[0]);
+  const sj = ys.indexOf(start[1]);
+  const ei = xs.indexOf(end[0]);
+  const ej = ys.indexOf(end[1]);
+
+  const costs = new Map();
+  const previous = new Map();
+  const queue = new PriorityQueue();
+  costs.set(key(si, sj, startDir), 0);
+  queue.push(0, [si, sj, startDir]);
+
+  var found = null;
+  while (queue.length > 0) {
+    const [i, j, dir] = queue.pop();
+    const k = key(i, j, dir);
+    const cost = costs.get(k);
+    if (i === ei && j === ej && dir === endDir) {
+      found = k;
+      break;
+    }
+    const neighbours = [[i - 1, j, 0], [i + 1, j, 0], [i, j - 1, 1], [i, j + 1, 1]];
+    neighbours.forEach(([ni, nj, ndir]) =>
+      {
+        if (ni < 0 || nj < 0 || ni >= xs.length || nj >= ys.length) {
+          return;
+        }
+        const mx = (xs[i] + xs[ni]) / 2;
+        const my = (ys[j] + ys[nj]) / 2;
+        if (inside(xs[ni], ys[nj]) || inside(mx, my)) {
+          return;
+        }
+        const length = Math.abs(xs[ni] - xs[i]) + Math.abs(ys[nj] - ys[j]);
+        const bend = ndir === dir ? 0 : BEND_COST;
+        const nk = key(ni, nj, ndir);
+        const ncost = cost + length + bend;
+        if (!costs.has(nk) || ncost < costs.get(nk)) {
+          costs.set(nk, ncost);
+          previous.set(nk, k);
+          queue.push(ncost, [ni, nj, ndir]);
+        }
+      });
+    // Turning in place lets a route end in the right direction at the end point.
+    if (i === ei && j === ej) {
+      const nk = key(i, j, endDir);
+      const ncost = cost + BEND_COST;
+      if (!costs.has(nk) || ncost < costs.get(nk)) {
+        costs.set(nk, ncost);
+        previous.set(nk, k);
+        queue.push(ncost, [i, j, endDir]);
+      }
+    }
+  }
+
+  var middle;
+  if (found === null) {
+    middle = [start, startDir === 0 ? [end[0], start[1]] : [start[0], end[1]], end];
+  } else {
+    middle = [];
+    for (let k = found; k !== undefined; k = previous.get(k)) {
+      const cell = Math.floor(k / 2);
+      middle.unshift([xs[cell % xs.length], ys[Math.floor(cell / xs.length)]]);
+    }
+  }
+
+  const points = [[fx, fy], ...middle, [tx, ty]];
+  return simplifyPoints(points.filter((p, i) => i === 0 || p[0] !== points[i - 1][0] || p[1] !== points[i - 1][1]));
+}
+
+
+/**
+ * Returns the two control points of a cubic Bézier curve between the
+ * connection points `fromPoint` and `toPoint`. Each control point is offset
+ * from its end along the end's normal by `curvature` times the distance
+ * between the ends.  If that is zero, the control points fall back to the
+ * opposite ends, making a straight line.
+ */
+function curveControlPoints(fromPoint, toPoint, curvature) {
+  const [x0, y0, nx0, ny0] = fromPoint;
+  const [x1, y1, nx1, ny1] = toPoint;
+  const k = (curvature === undefined ? 0.5 : curvature) * distance(fromPoint, toPoint);
+  if (k === 0) {
+    return [[x1, y1], [x0, y0]];
+  }
+  return [
+    [x0 + nx0 * k, y0 + ny0 * k],
+    [x1 + nx1 * k, y1 + ny1 * k]
+  ];
+}
+
+
+/**
+ * Returns an array of points approximating the cubic Bézier curve with the
+ * given end and control points.
+ */
+function cubicPoints(p0, p1, p2, p3, segments = 32) {
+  const result = [];
+  for (let i = 0; i <= segments; i++) {
+    const t = i / segments;
+    const u = 1 - t;
+    const a = u * u * u;
+    const b = 3 * u * u * t;
+    const c = 3 * u * t * t;
+    const d = t * t * t;
+    result.push([
+      a * p0[0] + b * p1[0] + c * p2[0] + d * p3[0],
+      a * p0[1] + b * p1[1] + c * p2[1] + d * p3[1]
+    ]);
+  }
+  return result;
+}
+
+
+/**
+ * Returns the total length of the polyline through the given points.
+ */
+function polylineLength(points) {
+  var result = 0;
+  for (let i = 1; i < points.length; i++) {
+    result += distance(points[i - 1], points[i]);
+  }
+  return result;
+}
+
+
+/**
+ * Returns the point `[x, y, tx, ty]` at the given distance along the
+ * polyline through `points`, where (tx, ty) is a unit vector in the
+ * direction of the polyline at that point.
+ */
+function pointAlong(points, at) {
+  var remaining = at;
+  for (let i = 1; i < points.length; i++) {
+    const d = distance(points[i - 1], points[i]);
+    if (d > 0 && (remaining <= d || i === points.length - 1)) {
+      const [x0, y0] = points[i - 1];
+      const [x1, y1] = points[i];
+      const t = Math.min(remaining / d, 1);
+      return [x0 + (x1 - x0) * t, y0 + (y1 - y0) * t, (x1 - x0) / d, (y1 - y0) / d];
+    }
+    remaining -= d;
+  }
+  const [x, y] = points[0];
+  return [x, y, 1, 0];
+}
+
+
+/**
+ * Returns the point at distance `d` from point `p` towards point `q`, but no
+ * further than `q`.
+ */
+function moveToward(p, q, d) {
+  const [x0, y0] = p;
+  const [x1, y1] = q;
+  const length = distance(p, q);
+  if (!d || length === 0) {
+    return [x0, y0];
+  }
+  const t = Math.min(d / length, 1);
+  return [x0 + (x1 - x0) * t, y0 + (y1 - y0) * t];
+}
+
+
+/**
+ * Returns the `d` attribute of a path through the given points, rounding
+ * each corner with the given radius.
+ */
+function polylinePath(points, radius) {
+  const [x0, y0] = points[0];
+  var d = `M${x0},${y0}`;
+  for (let i = 1; i < points.length - 1; i++) {
+    const [xp, yp] = points[i - 1];
+    const [x, y] = points[i];
+    const [xn, yn] = points[i + 1];
+    const din = distance(points[i - 1], points[i]);
+    const dout = distance(points[i], points[i + 1]);
+    const r = Math.min(radius || 0, din / 2, dout / 2);
+    if (r > 0) {
+      const ax = x - (x - xp) / din * r;
+      const ay = y - (y - yp) / din * r;
+      const bx = x + (xn - x) / dout * r;
+      const by = y + (yn - y) / dout * r;
+      d += ` L${ax},${ay} Q${x},${y} ${bx},${by}`;
+    } else {
+      d += ` L${x},${y}`;
+    }
+  }
+  const [xl, yl] = points[points.length - 1];
+  return d + ` L${xl},${yl}`;
+}
+
+
+//--- Lines -----------------------------------------------------------------------------
+
+
+/**
+ * Distance between a label and the line it sits beside.
+ */
+const LABEL_GAP = 4;
+
+
+/**
+ * Padding between a label and its background box.
+ */
+const LABEL_PADDING = 2;
+
+
+/**
+ * Distance along the line between an end label and the end of the line.
+ */
+const LABEL_END_DISTANCE = 14;
+
+
+
+/**
+ * Returns the point in `points` closest to `target`.
+ */
+function closestPoint(points, target) {
+  var result = points[0];
+  points.forEach(p =>
+    {
+      if (distance(p, target) < distance(result, target)) {
+        result = p;
+      }
+    });
+  return result;
+}
+
+
+/**
+ * Moves the ends of lines that meet the same side of a shape so that they
+ * are spread evenly along that side, ordered to avoid crossing each other.
+ * `connections` is an array of results from `Line.connect`.
+ */
+function spreadConnections(connections) {
+
+  const groups = new Map();
+  const add = (shape, side, connection, end, other) =>
+    {
+      if (side) {
+        if (!groups.has(shape)) {
+          groups.set(shape, {});
+        }
+        const sides = groups.get(shape);
+        sides[side] = sides[side] || [];
+        sides[side].push({ connection: connection, end: end, other: other });
+      }
+    };
+  connections.forEach(c =>
+    {
+      add(c.fromShape, c.fromSide, c, 'fromPoint', c.toPoint);
+      add(c.toShape, c.toSide, c, 'toPoint', c.fromPoint);
+    });
+
+  groups.forEach((sides, shape) =>
+    {
+      for (const side in sides) {
+        const ends = sides[side];
+        if (ends.length > 1) {
+          const axis = side === 'top' || side === 'bottom' ? 0 : 1;
+          ends.sort((a, b) => a.other[axis] - b.other[axis]);
+          ends.forEach((e, i) =>
+            {
+              const point = shape.sidePoint(side, (i + 1) / (ends.length + 1));
+              if (point) {
+                e.connection[e.end] = point;
+              }
+            });
+        }
+      }
+    });
+
+}
+
+
+/**
+ * Returns the array [fromPoint, toPoint] where a line between the centers
+ * of fromShape and toShape crosses their outlines.
+ */
+function findFloatingPoints(fromShape, toShape) {
+  return [
+    fromShape.boundaryPoint(toShape.center()),
+    toShape.boundaryPoint(fromShape.center())
+  ];
+}
+
+
+/**
+ * Returns the array [fromPoint, toPoint] representing the closest two
+ * connection points from fromShape and toShape.
+ */
+function findConnectionPoints(fromShape, toShape) {
+  const fromPoints = fromShape.connectionPoints();
+  const toPoints = toShape.connectionPoints();
+  const pairs = [];
+  fromPoints.forEach(fp =>
+    {
+      toPoints.forEach(tp =>
+        {
+          pairs.push([ fp, tp, distance(fp, tp) ]);
+        })
+    });
+  let fromPoint, toPoint, dist = 1000000;
+  pairs.forEach(([fp, tp, d]) =>
+    {
+      if (d < dist) {
+        dist = d;
+        fromPoint = fp;
+        toPoint = tp;
+      }
+    });
+  return [fromPoint, toPoint];
+}
+
+
+class Line {
+
+  /**
+   * Creates a line.
+   *
+   * @param {object} props
+   * @param {string} [props.class] - Class of the `g` element grouping the line's elements.
+   * @param {string} [props.connection=fixed] - How to choose the points where the line meets its shapes:
+   * 'fixed' - The closest pair of the shapes' connection points.
+   * 'floating' - Where a line between the centers of the shapes crosses their outlines.
+   * @param {number} [props.corner_radius=0] - Radius with which to round the corners of an orthogonal route.
+   * @param {number} [props.curvature=0.5] - How far a curved route bulges out from each end, as a fraction of the distance between the ends.
+   * @param {string} [props.from] - ID of the shape where the line starts, optionally followed by a colon and a port name, e.g. 'a:bottom'.
+   * @param {(object|string)} [props.from_label] - Text to show near the start of the line.
+   * @param {string} [props.from_marker] - Name of the marker to draw at the start of the line. The built-in markers are 'arrow', 'open-arrow', 'diamond', 'filled-diamond', 'circle', 'filled-circle', 'bar', and the crow's foot markers 'one', 'many', 'zero-or-one', 'one-or-many', and 'zero-or-many'.
+   * @param {string} [props.from_port] - Name of the port where the line starts. See `Shape.port`. By default, uses whichever connection point is closest to the other end.
+   * @param {(object|string)} [props.label] - Text to show at the middle of the line.
+   * @param {string} [props.label_background] - Fill color of a box drawn behind each label. By default, labels have no background and are placed beside the line.
+   * @param {function} [props.on_click] - Called with the line and the DOM event when the line is clicked. `on_dblclick`, `on_contextmenu`, `on_hover`, and `on_leave` are called likewise. See `Shape`.
+   * @param {string} [props.route=straight] - How to route the line between its ends:
+   * 'straight' - A single straight segment.
+   * 'orthogonal' - Horizontal and vertical segments that avoid other shapes.
+   * 'curved' - A curve that leaves and enters each shape square to its side.
+   * @param {string} [props.stroke=black] - Stroke color for the line.
+   * @param {string} [props.stroke_dasharray] - Dash pattern for the line.
+   * @param {number} [props.stroke_width=1] - Stroke width for the line.
+   * @param {string} [props.to] - ID of the shape where the line ends, optionally followed by a colon and a port name.
+   * @param {(object|string)} [props.to_label] - Text to show near the end of the line.
+   * @param {string} [props.to_marker] - Name of the marker to draw at the end of the line.
+   * @param {string} [props.to_port] - Name of the port where the line ends.
+   */
+  constructor(props) {
+    for (const k in props) {
+      this[k.replace(/_/g, '-')] = props[k];
+    }
+    this.stroke = this.stroke || 'black';
+    ['label', 'from-label', 'to-label'].forEach(k =>
+      {
+        if (typeof(this[k]) === 'string') {
+          this[k] = new Text({}, this[k]);
+        }
+      });
+  }
+
+  /**
+   * Restores the layout properties of this line's labels.
+   */
+  resetLayout() {
+    if (!this.propKeys) {
+      Object.defineProperty(this, 'propKeys', { value: Object.keys(this) });
+    }
+    ['label', 'from-label', 'to-label'].forEach(k =>
+      {
+        if (this[k] && this[k].resetLayout) {
+          this[k].resetLayout();
+        }
+      });
+  }
+
+  /**
+   * Returns the names of the properties this line was given, as opposed to
+   * those set while rendering it.
+   */
+  propNames() {
+    return this.propKeys || Object.keys(this);
+  }
+
+  /**
+   * Records the layout of this line's labels.
+   */
+  recordLayout() {
+    ['label', 'from-label', 'to-label'].forEach(k =>
+      {
+        if (this[k] && this[k].recordLayout) {
+          this[k].recordLayout();
+        }
+      });
+  }
+
+  /**
+   * Returns this line as plain data in the form read by `fromJSON`.
+   */
+  toJSON() {
+    return { type: 'line', props: jsonProps(this) };
+  }
+
+  svgAttrs() {
+    const result = select(this, ['stroke', 'stroke-width', 'stroke-dasharray']);
+    result.fill = 'none';
+    return result;
+  }
+
+  /**
+   * Returns the distance by which to shorten the line at an end with the
+   * given marker.
+   */
+  markerInset(markerId) {
+    const marker = markers[markerId];
+    return marker ? marker.inset() : 0;
+  }
+
+  /**
+   * Returns the distance that the given marker reaches back along the line
+   * from its end.
+   */
+  markerExtent(markerId) {
+    const marker = markers[markerId];
+    return marker ? marker.extent() : 0;
+  }
+
+  renderMarker(markerId, thisPoint, otherPoint) {
+    const [x1, y1] = thisPoint;
+    const [x0, y0] = otherPoint;
+    if (markerId) {
+      const marker = markers[markerId];
+      if (!marker) {
+        console.warn('No such marker', markerId, this);
+      } else {
+        const d = distance(thisPoint, otherPoint);
+        const markerPoint = [x1, y1, (x0 - x1) / d, (y0 - y1) / d];
+        return marker.render(markerPoint);
+      }
+    }
+  }
+
+  /**
+   * Returns pseudo-elements for the line's labels, placed along the polyline
+   * `points`.  The middle label sits on the line if it has a background, and
+   * otherwise beside it, like the end labels.
+   */
+  renderLabels(points) {
+    const length = polylineLength(points);
+    const result = [];
+    const place = (label, at, fromEnd) =>
+      {
+        if (!label) {
+          return;
+        }
+        label.layout();
+        if (fromEnd !== undefined) {
+          // Keep end labels clear of the shape and marker
+          const [, , tx, ty] = pointAlong(points, fromEnd ? 0 : length);
+          const clearance = LABEL_END_DISTANCE + Math.abs(tx) * label.width / 2 + Math.abs(ty) * label.height / 2;
+          at = fromEnd ? Math.min(clearance, length / 2) : Math.max(length - clearance, length / 2);
+        }
+        const [x, y, tx, ty] = pointAlong(points, at);
+        var [nx, ny] = [-ty, tx];
+        if (ny > 0 || (ny === 0 && nx < 0)) {
+          [nx, ny] = [-nx, -ny];
+        }
+        var offset = 0;
+        if (fromEnd !== undefined || !this['label-background']) {
+          offset = Math.abs(nx) * label.width / 2 + Math.abs(ny) * label.height / 2 + LABEL_GAP;
+        }
+        const lx = x + nx * offset - label.width / 2;
+        const ly = y + ny * offset - label.height / 2;
+        if (this['label-background']) {
+          result.push(['rect', {
+            x: lx - LABEL_PADDING,
+            y: ly - LABEL_PADDING,
+            width: label.width + 2 * LABEL_PADDING,
+            height: label.height + 2 * LABEL_PADDING,
+            fill: this['label-background']
+          }]);
+        }
+        result.push(...label.render(lx, ly));
+      };
+    place(this.label, length / 2);
+    place(this['from-label'], 0, true);
+    place(this['to-label'], length, false);
+    return result;
+  }
+
+  /**
+   * Returns the shape and port name for one end of the line, given the end's
+   * `from` or `to` property and its `from_port` or `to_port` property.  The
+   * port may also be given after a colon in the ID, as in 'a:bottom'.
+   */
+  findEnd(diagram, id, port) {
+    const shape = diagram.shapeById(id);
+    const i = typeof(id) === 'string' ? id.lastIndexOf(':') : -1;
+    if (shape || i < 0) {
+      return [shape, port];
+    } else {
+      return [diagram.shapeById(id.slice(0, i)), id.slice(i + 1)];
+    }
+  }
+
+  /**
+   * Finds the shapes joined by this line and the points where it meets
+   * them.  Returns an object with the properties `fromShape`, `toShape`,
+   * `fromPoint`, and `toPoint`, plus `fromSide` and `toSide` naming the side
+   * of the shape each end meets at its middle, if any, unless the end is
+   * at a port given explicitly, which must not be moved by
+   * `spreadConnections`.  Warns and returns undefined if the line can't be
+   * connected.
+   */
+  connect(diagram) {
+    if (this.from === undefined) {
+      console.warn("Line is missing 'from' attribute", this);
+      return;
+    } else if (this.to === undefined) {
+      console.warn("Line is missing 'to' attribute", this);
+      return;
+    }
+
+    const [fromShape, fromPort] = this.findEnd(diagram, this.from, this['from-port']);
+    const [toShape, toPort] = this.findEnd(diagram, this.to, this['to-port']);
+    if (!fromShape) {
+      console.warn(`Can't find line's 'from' shape ${this.from}`, this);
+      return;
+    } else if (!toShape) {
+      console.warn(`Can't find line's 'to' shape ${this.to}`, this);
+      return;
+    }
+
+    var fromPoint = fromPort ? fromShape.port(fromPort) : null;
+    var toPoint = toPort ? toShape.port(toPort) : null;
+    const fromChosen = !fromPoint;
+    const toChosen = !toPoint;
+    if (fromPort && !fromPoint) {
+      console.warn(`Shape ${fromShape.id} has no port ${fromPort}`, this);
+    }
+    if (toPort && !toPoint) {
+      console.warn(`Shape ${toShape.id} has no port ${toPort}`, this);
+    }
+
+    const floating = this.connection === 'floating';
+    if (!fromPoint && !toPoint) {
+      if (floating) {
+        [fromPoint, toPoint] = findFloatingPoints(fromShape, toShape);
+      } else {
+        [fromPoint, toPoint] = findConnectionPoints(fromShape, toShape);
+      }
+    } else if (!fromPoint) {
+      fromPoint = floating ? fromShape.boundaryPoint(toPoint) : closestPoint(fromShape.connectionPoints(), toPoint);
+    } else if (!toPoint) {
+      toPoint = floating ? toShape.boundaryPoint(fromPoint) : closestPoint(toShape.connectionPoints(), fromPoint);
+    }
+
+    return {
+      fromShape: fromShape,
+      toShape: toShape,
+      fromPoint: fromPoint,
+      toPoint: toPoint,
+      fromSide: floating || !fromChosen ? undefined : fromShape.sideAt(fromPoint),
+      toSide: floating || !toChosen ? undefined : toShape.sideAt(toPoint)
+    };
+  }
+
+  /**
+   * Returns the pseudo-elements that draw this line.  `connection` is the
+   * result of `connect`, which is called if it is not given.  Sets `x`, `y`,
+   * `width`, and `height` to the bounds of the line's route.
+   */
+  render(diagram, connection) {
+
+    const c = connection || this.connect(diagram);
+    if (!c) {
+      return;
+    }
+    const { fromShape, toShape, fromPoint, toPoint } = c;
+
+    // Markers are oriented towards the next point along the path from each
+    // end, which for a curve is its control point.  The drawn path stops
+    // short of any marker that would otherwise show the line through it.
+    // `points` approximates the path as a polyline, used to place labels.
+
+    const fromInset = this.markerInset(this['from-marker']);
+    const toInset = this.markerInset(this['to-marker']);
+
+    const attrs = this.svgAttrs();
+    var points, fromNext, toNext;
+    if (this.route === 'curved') {
+      const [c0, c1] = curveControlPoints(fromPoint, toPoint, this.curvature);
+      const [x0, y0] = moveToward(fromPoint, c0, fromInset);
+      const [x1, y1] = moveToward(toPoint, c1, toInset);
+      attrs.d = `M${x0},${y0} C${c0[0]},${c0[1]} ${c1[0]},${c1[1]} ${x1},${y1}`;
+      points = cubicPoints(fromPoint, c0, c1, toPoint);
+      fromNext = c0;
+      toNext = c1;
+    } else {
+      if (this.route === 'orthogonal') {
+        points = orthogonalRoute(fromPoint, toPoint, obstacles(diagram, fromShape, toShape),
+          this.markerExtent(this['from-marker']), this.markerExtent(this['to-marker']));
+      } else {
+        points = [fromPoint, toPoint];
+      }
+      const drawn = points.slice();
+      drawn[0] = moveToward(points[0], points[1], fromInset);
+      drawn[drawn.length - 1] = moveToward(points[points.length - 1], points[points.length - 2], toInset);
+      attrs.d = polylinePath(drawn, this['corner-radius']);
+      fromNext = points[1];
+      toNext = points[points.length - 2];
+    }
+
+    const xs = points.map(p => p[0]);
+    const ys = points.map(p => p[1]);
+    this.x = Math.min(...xs);
+    this.y = Math.min(...ys);
+    this.width = Math.max(...xs) - this.x;
+    this.height = Math.max(...ys) - this.y;
+
+    const g = ['g', groupAttrs(this, 'line'),
+      ['path', attrs],
+      this.renderMarker(this['from-marker'], fromPoint, fromNext),
+      this.renderMarker(this['to-marker'], toPoint, toNext),
+      ...this.renderLabels(points)
+    ];
+    renderedGraphics.set(g, this);
+    return [g];
+
+  }
+
+}
+
+
+//--- Markers -----------------------------------------------------------------------------
+
+
+/**
+ * A marker is a shape that is drawn at the end of a line.
+ *
+ * Custom markers can extend this class and be made available to lines with
+ * `registerMarker`.
+ */
+class Marker extends Graphic {
+
+  constructor(props) {
+    super(props);
+  }
+
+  /**
+   * Returns the distance back from the tip of the marker at which the line
+   * should stop.  Hollow markers, which have a `hollow` property, return
+   * their length, so that the line doesn't show through them.
+   */
+  inset() {
+    return this.hollow ? this.extent() : 0;
+  }
+
+  /**
+   * Returns the distance the marker reaches back along the line from its
+   * tip.
+   */
+  extent() {
+    return this.length || 0;
+  }
+
+  /**
+   * Returns a pseudo-SVG element representing the marker at the given point.
+   *
+   * `point` is a four-element array in the form `[x, y, nx, ny]`, where (x,y)
+   * is the tip of the marker touching the shape, and (nx,ny) is a normal
+   * normal vector in the direction of the connecting line.
+   *
+   * This implementation delegates to a member `path()` to return the value
+   * of a `d` element for a path that draws the marker.  This method should
+   * render the marker with the tip at the origin and the marker drawn along
+   * the positive x-axis.
+   */
+  render(point) {
+
+    let [x, y, nx, ny] = point;
+
+    let attrs = select(this, ['fill', 'stroke', 'stroke-width']);
+    attrs.d = this.path();
+    attrs.transform = `matrix(${nx}, ${ny}, ${-ny}, ${nx}, ${x}, ${y})`;
+    return ['path', attrs];
+
+    // Rotating the Marker
+    //
+    // The code above rotates the marker based on the normal vector (nx,ny)
+    // via the matrix transform.
+    //
+    // The standard rotation matrix looks like this:
+    //
+    //   cos θ   - sin θ
+    //   sin θ     cos θ
+    //
+    // We know that sin θ = y / h and cos θ = x / h and that for unit vectors
+    // h = 1, therefore the rotation matrix is:
+    //
+    //   x    -y
+    //   y     x
+    //
+    // The matrix transform is defined in terms of the variables a-f representing
+    // the following transform
+    //
+    //   a   c   e
+    //   b   d   f
+    //   0   0   1
+    //
+    // In this form, a-d represent the rotation about the origin and (e,f)
+    // represents a translation.  So if we start by rendering the arrow at the
+    // origin we can rotate it and translate it to the final position in one neat
+    // matrix operation:
+    //
+    //    nx   -ny    x
+    //    ny    nx    y
+    //    0     0     1
+    //
+    // or in terms of the matrix transform:
+    //
+    // matrix(nx, ny, -ny, nx, x, y)
+    //
+
+
+  }
+
+}
+
+
+class Arrow extends Marker {
+
+  constructor(props) {
+    super(props);
+    this.length = this.length || 12;
+    this.width = this.width || 8;
+  }
+
+
+  // See https://dragonman225.js.org/curved-arrows.html
+
+  path() {
+    return `M0 0 L${this.length} ${this.width / 2} L${this.length} ${-this.width / 2}`;
+  }
+
+}
+
+
+/**
+ * Arrow head drawn as two strokes, without a fill.
+ */
+class OpenArrow extends Marker {
+
+  constructor(props) {
+    super(props);
+    this.length = this.length || 12;
+    this.width = this.width || 8;
+    this.fill = this.fill || 'none';
+    this.stroke = this.stroke || 'black';
+  }
+
+  path() {
+    return `M${this.length} ${this.width / 2} L0 0 L${this.length} ${-this.width / 2}`;
+  }
+
+}
+
+
+/**
+ * Diamond, as used for UML aggregation (hollow) and composition (filled).
+ */
+class Diamond extends Marker {
+
+  constructor(props) {
+    super(props);
+    this.length = this.length || 16;
+    this.width = this.width || 8;
+    this.stroke = this.stroke || 'black';
+  }
+
+  path() {
+    const [l, w] = [this.length, this.width / 2];
+    return `M0 0 L${l / 2} ${w} L${l} 0 L${l / 2} ${-w} Z`;
+  }
+
+}
+
+
+/**
+ * Circle touching the end of the line.
+ */
+class Circle extends Marker {
+
+  constructor(props) {
+    super(props);
+    this.radius = this.radius || 4;
+    this.stroke = this.stroke || 'black';
+  }
+
+  extent() {
+    return 2 * this.radius;
+  }
+
+  path() {
+    const r = this.radius;
+    return `M0 0 A${r} ${r} 0 1 0 ${2 * r} 0 A${r} ${r} 0 1 0 0 0 Z`;
+  }
+
+}
+
+
+/**
+ * Bar across the end of the line.
+ */
+class Bar extends Marker {
+
+  constructor(props) {
+    super(props);
+    this.width = this.width || 10;
+    this.stroke = this.stroke || 'black';
+  }
+
+  path() {
+    return `M0 ${this.width / 2} L0 ${-this.width / 2}`;
+  }
+
+}
+
+
+/**
+ * Crow's foot notation for the cardinality of a relationship in an ER
+ * diagram.  `max` is either 'one', drawn as a bar, or 'many', drawn as a
+ * crow's foot, and is drawn nearest the shape.  `min` is optional, and is
+ * either 'zero', drawn as a circle, or 'one', drawn as a bar.
+ */
+class CrowsFoot extends Marker {
+
+  constructor(props) {
+    super(props);
+    this.length = this.length || 12;
+    this.width = this.width || 12;
+    this.fill = this.fill || 'white';
+    this.stroke = this.stroke || 'black';
+  }
+
+  extent() {
+    if (this.min === 'zero') {
+      return this.length + 4 + this.width / 2;
+    }
+    return this.min === 'one' ? this.length + 4 : this.length;
+  }
+
+  render(point) {
+
+    const [x, y, nx, ny] = point;
+    const [l, w] = [this.length, this.width / 2];
+    const attrs = select(this, ['stroke', 'stroke-width']);
+
+    var d;
+    if (this.max === 'many') {
+      d = `M0 ${-w} L${l} 0 L0 ${w}`;
+    } else {
+      d = `M${l / 2} ${-w} L${l / 2} ${w}`;
+    }
+
+    var circle = null;
+    if (this.min === 'one') {
+      d += ` M${l + 4} ${-w} L${l + 4} ${w}`;
+    } else if (this.min === 'zero') {
+      const r = w / 2;
+      circle = ['circle', Object.assign({ cx: l + 4 + r, cy: 0, r: r, fill: this.fill }, attrs)];
+    }
+
+    return ['g', { transform: `matrix(${nx}, ${ny}, ${-ny}, ${nx}, ${x}, ${y})` },
+      ['path', Object.assign({ d: d, fill: 'none' }, attrs)],
+      circle];
+  }
+
+}
+
+
+/**
+ * Global registry of markers.  See `registerMarker`.
+ */
+const markers = {
+  'arrow': new Arrow({ fill: 'black' }),
+  'open-arrow': new OpenArrow({}),
+  'diamond': new Diamond({ fill: 'white', hollow: true }),
+  'filled-diamond': new Diamond({ fill: 'black' }),
+  'circle': new Circle({ fill: 'white', hollow: true }),
+  'filled-circle': new Circle({ fill: 'black' }),
+  'bar': new Bar({}),
+  'one': new CrowsFoot({ max: 'one' }),
+  'many': new CrowsFoot({ max: 'many' }),
+  'zero-or-one': new CrowsFoot({ min: 'zero', max: 'one' }),
+  'one-or-many': new CrowsFoot({ min: 'one', max: 'many' }),
+  'zero-or-many': new CrowsFoot({ min: 'zero', max: 'many' }),
+}
+
+
+//--- JSON -----------------------------------------------------------------------------
+
+
+/**
+ * Version of the JSON format written by `Diagram.toJSON`.  `fromJSON` reads
+ * this version and earlier ones.
+ *
+ * The format is an object with these properties:
+ *
+ * `version` - The format version.
+ * `shapes` - Array of shapes, as passed to `diagram`.
+ * `lines` - Optional array of lines.
+ * `options` - Optional diagram options.
+ *
+ * Each shape is an object with a `type` ('text', 'vbox', 'hbox', 'grid',
+ * 'ellipse', 'db', or 'user'), an optional `props` object holding the
+ * properties passed to its factory function, e.g. `stroke_width`, and either
+ * `text` (for text) or an optional `children` array (for the other types
+ * except user).  An ellipse or db has at most one child.  Each line is an
+ * object with a `type` of 'line' and `props`, in which labels may be strings
+ * or text shapes.
+ */
+const JSON_VERSION = 1;
+
+
+/**
+ * Shape types in the JSON format, each with a function creating the shape
+ * from its props, JSON, and child shapes, and how many children it takes:
+ * 'none', 'one', or 'many'.
+ */
+const shapeTypes = {
+  'text': { children: 'none', create: (props, json) => new Text(props, String(json.text)) },
+  'vbox': { children: 'many', create: (props, json, children) => new Vbox(props, ...children) },
+  'hbox': { children: 'many', create: (props, json, children) => new Hbox(props, ...children) },
+  'grid': { children: 'many', create: (props, json, children) => new Grid(props, ...children) },
+  'ellipse': { children: 'one', create: (props, json, children) => new Ellipse(props, children[0]) },
+  'db': { children: 'one', create: (props, json, children) => new Database(props, children[0]) },
+  'user': { children: 'none', create: (props) => new User(props) },
+};
+
+
+/**
+ * Properties holding the content of shapes, which the JSON format gives
+ * separately from their other properties.
+ */
+const CONTENT_PROPS = ['child', 'children', 'text'];
+
+
+/**
+ * Properties whose values must be numbers in the JSON format.
+ */
+const NUMBER_PROPS = [
+  'x', 'y', 'width', 'height', 'dx', 'dy', 'column_spacing', 'columns', 'corner_radius',
+  'curvature', 'grow', 'line_height', 'max_width', 'row_spacing', 'spacing', 'stroke_width'
+];
+
+
+/**
+ * Names of the line properties that hold labels.
+ */
+const LABEL_PROPS = ['label', 'from_label', 'to_label'];
+
+
+/**
+ * Returns the properties that `graphic` was given, under the names used by
+ * its factory function, leaving out its content and functions.  Layout
+ * properties are taken from the values recorded before the graphic was
+ * first laid out, or assigned since.
+ */
+function jsonProps(graphic) {
+  const result = {};
+  graphic.propNames().forEach(k =>
+    {
+      if (CONTENT_PROPS.includes(k)) {
+        return;
+      }
+      var value = graphic[k];
+      if (graphic.declared && LAYOUT_PROPS.includes(k)) {
+        value = graphic.declared[k];
+      }
+      if (value !== undefined && typeof(value) !== 'function') {
+        result[k.replace(/-/g, '_')] = value && value.toJSON ? value.toJSON() : value;
+      }
+    });
+  return result;
+}
+
+
+function isPlainObject(value) {
+  return typeof(value) === 'object' && value !== null && !Array.isArray(value);
+}
+
+
+/**
+ * Checks the props of a shape or line, adding an error to `errors` for each
+ * problem found.
+ */
+function validatePropsJSON(props, path, errors) {
+  if (!isPlainObject(props)) {
+    errors.push({ path: path, message: 'must be an object' });
+    return;
+  }
+  for (const k in props) {
+    if (NUMBER_PROPS.includes(k) && typeof(props[k]) !== 'number') {
+      errors.push({ path: `${path}.${k}`, message: 'must be a number' });
+    }
+  }
+}
+
+
+/**
+ * Checks a shape in the JSON format, adding an error to `errors` for each
+ * problem found.
+ */
+function validateShapeJSON(json, path, errors) {
+  if (!isPlainObject(json)) {
+    errors.push({ path: path, message: 'must be an object' });
+    return;
+  }
+  const type = shapeTypes[json.type];
+  if (!type) {
+    errors.push({
+      path: `${path}.type`,
+      message: json.type === undefined ? 'is required' : `unknown shape type ${JSON.stringify(json.type)}`
+    });
+    return;
+  }
+  if (json.props !== undefined) {
+    validatePropsJSON(json.props, `${path}.props`, errors);
+  }
+  if (json.type === 'text' && typeof(json.text) !== 'string' && typeof(json.text) !== 'number') {
+    errors.push({ path: `${path}.text`, message: 'must be a string' });
+  }
+  if (json.children === undefined) {
+    return;
+  }
+  if (!Array.isArray(json.children)) {
+    errors.push({ path: `${path}.children`, message: 'must be an array' });
+  } else if (type.children === 'none' && json.children.length) {
+    errors.push({ path: `${path}.children`, message: `a ${json.type} can't have children` });
+  } else if (type.children === 'one' && json.children.length > 1) {
+    errors.push({ path: `${path}.children`, message: `a ${json.type} can have at most one child` });
+  } else {
+    json.children.forEach((child, i) => validateShapeJSON(child, `${path}.children[${i}]`, errors));
+  }
+}
+
+
+/**
+ * Checks a line in the JSON format, adding an error to `errors` for each
+ * problem found.
+ */
+function validateLineJSON(json, path, errors) {
+  if (!isPlainObject(json)) {
+    errors.push({ path: path, message: 'must be an object' });
+    return;
+  }
+  if (json.type !== 'line') {
+    errors.push({ path: `${path}.type`, message: "must be 'line'" });
+  }
+  if (json.props === undefined) {
+    errors.push({ path: `${path}.props`, message: 'is required' });
+    return;
+  }
+  validatePropsJSON(json.props, `${path}.props`, errors);
+  if (!isPlainObject(json.props)) {
+    return;
+  }
+  ['from', 'to'].forEach(k =>
+    {
+      if (typeof(json.props[k]) !== 'string') {
+        errors.push({ path: `${path}.props.${k}`, message: json.props[k] === undefined ? 'is required' : 'must be a string' });
+      }
+    });
+  LABEL_PROPS.forEach(k =>
+    {
+      const label = json.props[k];
+      if (isPlainObject(label)) {
+        validateShapeJSON(label, `${path}.props.${k}`, errors);
+        if (label.type !== 'text' && shapeTypes[label.type]) {
+          errors.push({ path: `${path}.props.${k}.type`, message: "must be 'text'" });
+        }
+      } else if (label !== undefined && typeof(label) !== 'string') {
+        errors.push({ path: `${path}.props.${k}`, message: 'must be a string or a text shape' });
+      }
+    });
+}
+
+
+/**
+ * Returns an array of the problems with a diagram in the JSON format, each an
+ * object with the `path` to the offending value, e.g.
+ * `$.shapes[2].children[0].type`, and a `message`.
+ */
+function validateDiagramJSON(json) {
+  const errors = [];
+  if (!isPlainObject(json)) {
+    errors.push({ path: '$', message: 'must be an object' });
+    return errors;
+  }
+  if (json.version === undefined) {
+    errors.push({ path: '$.version', message: 'is required' });
+  } else if (!Number.isInteger(json.version) || json.version < 1) {
+    errors.push({ path: '$.version', message: 'must be a positive integer' });
+  } else if (json.version > JSON_VERSION) {
+    errors.push({ path: '$.version', message: `version ${json.version} is newer than the supported version ${JSON_VERSION}` });
+  }
+  if (!Array.isArray(json.shapes)) {
+    errors.push({ path: '$.shapes', message: json.shapes === undefined ? 'is required' : 'must be an array' });
+  } else {
+    json.shapes.forEach((shape, i) => validateShapeJSON(shape, `$.shapes[${i}]`, errors));
+  }
+  if (json.lines !== undefined) {
+    if (!Array.isArray(json.lines)) {
+      errors.push({ path: '$.lines', message: 'must be an array' });
+    } else {
+      json.lines.forEach((line, i) => validateLineJSON(line, `$.lines[${i}]`, errors));
+    }
+  }
+  if (json.options !== undefined && !isPlainObject(json.options)) {
+    errors.push({ path: '$.options', message: 'must be an object' });
+  }
+  return errors;
+}
+
+
+/**
+ * Creates a shape from valid JSON.
+ */
+function shapeFromJSON(json) {
+  const children = (json.children || []).map(shapeFromJSON);
+  return shapeTypes[json.type].create(Object.assign({}, json.props), json, children);
+}
+
+
+/**
+ * Creates a line from valid JSON.
+ */
+function lineFromJSON(json) {
+  const props = Object.assign({}, json.props);
+  LABEL_PROPS.forEach(k =>
+    {
+      if (isPlainObject(props[k])) {
+        props[k] = shapeFromJSON(props[k]);
+      }
+    });
+  return new Line(props);
+}
+
+
+//--- Text Format -----------------------------------------------------------------------------
+
+
+/**
+ * Shape keywords of the text format read by `parse`, each with a function
+ * creating the shape from its props and children, whether it may have a
+ * block of children ('many'), just a label ('one'), or neither ('none'), and
+ * whether it shows its ID when given neither.
+ */
+const shapeKeywords = {
+  'box': { children: 'many', showsId: true, create: (props, children) =>
+    new Vbox(Object.assign({ padding: 10, stroke_width: 1 }, props), ...children) },
+  'vbox': { children: 'many', create: (props, children) => new Vbox(props, ...children) },
+  'hbox': { children: 'many', create: (props, children) => new Hbox(props, ...children) },
+  'grid': { children: 'many', create: (props, children) => new Grid(props, ...children) },
+  'circle': { children: 'one', showsId: true, create: (props, children) => new Ellipse(props, children[0]) },
+  'ellipse': { children: 'one', showsId: true, create: (props, children) => new Ellipse(props, children[0]) },
+  'db': { children: 'one', showsId: true, create: (props, children) => new Database(props, children[0]) },
+  'user': { children: 'none', create: (props) => new User(props) },
+};
+
+
+/**
+ * Markers at the start and end of a line for each arrow of the text format.
+ */
+const ARROWS = {
+  '->': [undefined, 'arrow'],
+  '<-': ['arrow', undefined],
+  '<->': ['arrow', 'arrow'],
+  '--': [undefined, undefined],
+};
+
+
+/**
+ * Regular expressions matching the tokens of the text format, tried in
+ * order.  Tokens of type null are skipped.
+ */
+const TOKEN_PATTERNS = [
+  [null, /[ \t\r]+/y],
+  [null, /\/\/[^\n]*/y],
+  ['newline', /\n/y],
+  ['string', /"(?:[^"\\\n]|\\.)*"/y],
+  ['arrow', /<->|->|<-|--/y],
+  ['punctuation', /[{}=:;]/y],
+  ['word', /-?[\w#.,%]+(?:-(?![->])[\w#.,%]+)*/y],
+];
+
+
+/**
+ * Returns an error for a problem at the given line and column of the source
+ * of the text format.  The error has `line` and `column` properties.
+ */
+function parseError(line, column, message) {
+  const error = new Error(`Line ${line}, column ${column}: ${message}`);
+  error.line = line;
+  error.column = column;
+  return error;
+}
+
+
+/**
+ * Splits the source of the text format into tokens, each an object with its
+ * `type`, its `value`, its `line` and `column`, and whether it follows
+ * whitespace (`spaced`).  The last token has type 'end'.  Other formats may
+ * be split by giving their own `patterns`, in the form of `TOKEN_PATTERNS`.
+ */
+function tokenize(source, patterns) {
+  patterns = patterns || TOKEN_PATTERNS;
+  const tokens = [];
+  var pos = 0;
+  var line = 1;
+  var lineStart = 0;
+  var spaced = true;
+  while (pos < source.length) {
+    const column = pos - lineStart + 1;
+    const match = patterns.find(([, pattern]) =>
+      {
+        pattern.lastIndex = pos;
+        return pattern.test(source);
+      });
+    if (!match) {
+      throw parseError(line, column, `unexpected character ${JSON.stringify(source[pos])}`);
+    }
+    const [type, pattern] = match;
+    const start = pos;
+    const text = source.slice(pos, pattern.lastIndex);
+    pos = pattern.lastIndex;
+    if (type) {
+      tokens.push({ type: type, value: text, line: line, column: column, spaced: spaced });
+    }
+    spaced = !type || type === 'newline';
+    for (var i = text.indexOf('\n'); i >= 0; i = text.indexOf('\n', i + 1)) {
+      line++;
+      lineStart = start + i + 1;
+    }
+  }
+  tokens.push({ type: 'end', value: '', line: line, column: pos - lineStart + 1, spaced: spaced });
+  return tokens;
+}
+
+
+/**
+ * Returns the value of a property given as a word in the text format: a
+ * number, a boolean, an array of numbers if separated by commas, or else the
+ * word itself.
+ */
+function wordValue(word) {
+  if (/^-?\d+(\.\d+)?$/.test(word)) {
+    return Number(word);
+  } else if (word === 'true' || word === 'false') {
+    return word === 'true';
+  } else if (/^-?[\d.]+(,-?[\d.]+)+$/.test(word)) {
+    return word.split(',').map(Number);
+  }
+  return word;
+}
+
+
+/**
+ * Base class for parsers reading a list of tokens from `tokenize`.
+ */
+class TokenParser {
+
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek(offset) {
+    return this.tokens[Math.min(this.pos + (offset || 0), this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    this.pos++;
+    return token;
+  }
+
+  /**
+   * Returns whether the next token is of the given type and, if given,
+   * value.
+   */
+  at(type, value) {
+    const token = this.peek();
+    return token.type === type && (value === undefined || token.value === value);
+  }
+
+  expect(type, value, description) {
+    if (!this.at(type, value)) {
+      this.fail(this.peek(), `expected ${description}`);
+    }
+    return this.next();
+  }
+
+  fail(token, message) {
+    const found = token.type === 'end' ? 'end of input'
+      : token.type === 'newline' ? 'end of line'
+      : JSON.stringify(token.value);
+    throw parseError(token.line, token.column, `${message} but found ${found}`);
+  }
+
+}
+
+
+/**
+ * Reads diagrams in the text format.  See `parse`.
+ */
+class Parser extends TokenParser {
+
+  constructor(source) {
+    super(tokenize(source));
+    this.options = { layout: 'layered' };
+    this.lines = [];
+    this.ids = {};
+    this.endpoints = [];
+  }
+
+  /**
+   * Returns the value of a string token with its escapes replaced.
+   */
+  stringValue(token) {
+    return token.value.slice(1, -1).replace(/\\(.)/g, (m, c) => c === 'n' ? '\n' : c);
+  }
+
+  parse() {
+    const shapes = this.statements(false);
+    const topLevel = new Set(shapes.map(shape => shape.id));
+    this.endpoints.forEach(id =>
+      {
+        if (!(id in this.ids) && !topLevel.has(id)) {
+          topLevel.add(id);
+          shapes.push(shapeKeywords.box.create({ id: id }, [new Text({}, id)]));
+        }
+      });
+    return new Diagram(shapes, this.lines, this.options);
+  }
+
+  /**
+   * Reads statements up to the end of the source or, if `block` is true, up
+   * to a closing brace, returning the shapes they declare.
+   */
+  statements(block) {
+    const shapes = [];
+    const atEnd = () => block ? this.at('punctuation', '}') : this.at('end');
+    while (!atEnd()) {
+      if (this.at('newline') || this.at('punctuation', ';')) {
+        this.next();
+        continue;
+      }
+      if (this.at('end')) {
+        this.fail(this.peek(), "expected '}'");
+      }
+      const shape = this.statement();
+      if (shape) {
+        shapes.push(shape);
+      }
+      if (!atEnd() && !this.at('newline') && !this.at('punctuation', ';')) {
+        this.fail(this.peek(), 'expected end of line');
+      }
+    }
+    return shapes;
+  }
+
+  /**
+   * Reads a statement, returning the shape it declares, if any.
+   */
+  statement() {
+    const token = this.peek();
+    if (token.type === 'string') {
+      this.next();
+      return new Text(this.props(), this.stringValue(token));
+    } else if (token.type !== 'word') {
+      this.fail(token, 'expected a shape, a line, or options');
+    }
+    const isEdge = this.peek(1).type === 'arrow' || (this.peek(1).value === ':' && !this.peek(1).spaced);
+    if (token.value === 'diagram' && !isEdge) {
+      this.next();
+      Object.assign(this.options, this.props());
+      if (this.options.layout === 'none') {
+        delete this.options.layout;
+      }
+    } else if (token.value === 'text' && !isEdge) {
+      this.next();
+      const id = this.at('word') ? this.declareId(this.next()) : undefined;
+      const label = this.stringValue(this.expect('string', undefined, 'quoted text'));
+      return new Text(Object.assign({ id: id }, this.props()), label);
+    } else if (shapeKeywords[token.value] && !isEdge) {
+      return this.shape();
+    } else {
+      this.edge();
+    }
+  }
+
+  /**
+   * Reads a shape declaration: a keyword, an optional ID, an optional
+   * quoted label, properties, and, for boxes, an optional block of
+   * statements in braces.
+   */
+  shape() {
+    const keyword = this.next();
+    const type = shapeKeywords[keyword.value];
+    const props = {};
+    if (this.at('word') && this.peek(1).value !== '=') {
+      props.id = this.declareId(this.next());
+    }
+    const children = [];
+    if (this.at('string')) {
+      if (type.children === 'none') {
+        const token = this.peek();
+        throw parseError(token.line, token.column, `a ${keyword.value} can't have a label`);
+      }
+      children.push(new Text({}, this.stringValue(this.next())));
+    }
+    Object.assign(props, this.props());
+    if (this.at('punctuation', '{')) {
+      if (type.children !== 'many') {
+        const token = this.peek();
+        throw parseError(token.line, token.column, `a ${keyword.value} can't contain other shapes`);
+      }
+      this.next();
+      children.push(...this.statements(true));
+      this.expect('punctuation', '}', "'}'");
+    } else if (!children.length && props.id !== undefined && type.showsId) {
+      children.push(new Text({}, props.id));
+    }
+    return type.create(props, children);
+  }
+
+  /**
+   * Records the ID given by a word token, failing if it's already declared.
+   */
+  declareId(token) {
+    if (token.value in this.ids) {
+      const other = this.ids[token.value];
+      throw parseError(token.line, token.column,
+        `duplicate ID ${JSON.stringify(token.value)}, first declared at line ${other.line}, column ${other.column}`);
+    }
+    this.ids[token.value] = token;
+    return token.value;
+  }
+
+  /**
+   * Reads `key=value` properties up to the end of the statement.
+   */
+  props() {
+    const props = {};
+    while (this.at('word')) {
+      const key = this.next();
+      this.expect('punctuation', '=', `'=' after ${JSON.stringify(key.value)}`);
+      if (this.at('string')) {
+        props[key.value] = this.stringValue(this.next());
+      } else {
+        props[key.value] = wordValue(this.expect('word', undefined, 'a value').value);
+      }
+    }
+    return props;
+  }
+
+  /**
+   * Reads a shape ID at one end of a line, with an optional port name
+   * following a colon, e.g. `a:bottom`.
+   */
+  endpoint() {
+    const id = this.expect('word', undefined, 'a shape ID').value;
+    this.endpoints.push(id);
+    if (this.at('punctuation', ':') && !this.peek().spaced && this.peek(1).type === 'word' && !this.peek(1).spaced) {
+      this.next();
+      return `${id}:${this.next().value}`;
     }
+    return id;
+  }
 
-    var y = this.paddingTop() + topSpace;
-    this.children.forEach((child, i) =>
-      {
-        if (i > 0) {
-          y += this.spacing;
+  /**
+   * Reads one or more lines in a chain such as `a -> b -> c`, followed by
+   * optional properties and a label after a colon, which apply to each.
+   */
+  edge() {
+    const ends = [this.endpoint()];
+    const arrows = [];
+    do {
+      arrows.push(this.expect('arrow', undefined, "an arrow such as '->'").value);
+      ends.push(this.endpoint());
+    } while (this.at('arrow'));
+    const props = this.props();
+    if (this.at('punctuation', ':')) {
+      this.next();
+      if (this.at('string')) {
+        props.label = this.stringValue(this.next());
+      } else {
+        const words = [];
+        while (!this.at('newline') && !this.at('end') && !this.at('punctuation', ';') && !this.at('punctuation', '}')) {
+          const token = this.next();
+          words.push((token.spaced && words.length ? ' ' : '') + token.value);
         }
-
-        var extraSpaceH;
-        if (this.width === undefined) {
-          extraSpaceH = contentWidth - child.width;
-        } else {
-          extraSpaceH = this.width - this.paddingLeft() - this.paddingRight() - child.width;
+        props.label = words.join('');
+      }
+    }
+    arrows.forEach((arrow, i) =>
+      {
+        const [fromMarker, toMarker] = ARROWS[arrow];
+        const lineProps = { from: ends[i], to: ends[i + 1] };
+        if (fromMarker) {
+          lineProps.from_marker = fromMarker;
         }
-
-        var leftSpace;
-        switch (this.align) {
-          case 'left':
-            leftSpace = 0;
-            break;
-          case 'right':
-            leftSpace = extraSpaceH;
-            break;
-          default:
-            leftSpace = extraSpaceH / 2;
+        if (toMarker) {
+          lineProps.to_marker = toMarker;
         }
+        this.lines.push(new Line(Object.assign(lineProps, props)));
+      });
+  }
 
-        child.dx = this.paddingLeft() + leftSpace;
-        child.dy = y;
+}
 
-        y += child.height;
-      });
 
-    this.height = this.height || (y +  this.paddingBottom());
-    this.width = this.width || (contentWidth + this.paddingLeft() + this.paddingRight());
+//--- Importers -----------------------------------------------------------------------------
 
-  }
 
+/**
+ * Records a problem found while importing a diagram from another format,
+ * such as an attribute that DiaScript can't represent.
+ */
+function importWarning(warnings, line, message) {
+  warnings.push(`Line ${line}: ${message}`);
 }
 
 
+/**
+ * Returns a diagram of imported shapes and lines, laid out with the layered
+ * layout.  Reports each of the `warnings` on the console and keeps them in
+ * the diagram's `warnings` property.
+ */
+function importedDiagram(shapes, lines, options, warnings) {
+  const result = new Diagram(shapes, lines, Object.assign({ layout: 'layered' }, options));
+  warnings.forEach(warning => console.warn(warning));
+  result.warnings = warnings;
+  return result;
+}
+
 
 /**
- * Box that stacks its children horizontally.
+ * Returns a box as drawn by the importers for a rectangular node.
  */
-class Hbox extends Box {
+function importedBox(props, label) {
+  return new Vbox(Object.assign({ padding: [5, 10], stroke_width: 1 }, props), label);
+}
 
-  constructor(props, ...children) {
-    super(props, ...children);
-  }
 
-  layout() {
+/**
+ * Regular expressions matching the tokens of Graphviz DOT.  See
+ * `TOKEN_PATTERNS`.
+ */
+const DOT_TOKEN_PATTERNS = [
+  [null, /\s+/y],
+  [null, /\/\/[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\//y],
+  ['string', /"(?:[^"\\]|\\[\s\S])*"/y],
+  ['html', /<(?:[^<>]|<[^<>]*>)*>/y],
+  ['arrow', /->|--/y],
+  ['punctuation', /[{}[\]=;,:]/y],
+  ['word', /-?(?:\d+(?:\.\d*)?|\.\d+)|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*/y],
+];
 
-    var contentWidth = 0;
-    var contentHeight = 0;
-    this.children.forEach((child, i) =>
-      {
-        if (i > 0) {
-          contentWidth += this.spacing;
-        }
-        child.layout();
-        if (child.height > contentHeight) {
-          contentHeight = child.height;
-        }
-        contentWidth += child.width;
-      });
 
-    var extraSpaceH;
-    if (this.width === undefined) {
-      extraSpaceH = 0;
-    } else {
-      extraSpaceH = this.width - this.paddingLeft() - this.paddingRight() - contentWidth;
-    }
+/**
+ * DOT attributes that `fromDot` understands, for each kind of statement.
+ */
+const DOT_ATTRIBUTES = {
+  'node': ['color', 'fillcolor', 'fontcolor', 'fontname', 'fontsize', 'height', 'label', 'penwidth', 'shape', 'style', 'width'],
+  'edge': ['arrowhead', 'arrowtail', 'color', 'dir', 'fontcolor', 'fontname', 'fontsize', 'headlabel', 'headport',
+    'label', 'penwidth', 'style', 'taillabel', 'tailport'],
+  'graph': ['nodesep', 'rankdir', 'ranksep'],
+};
 
-    var leftSpace;
-    switch (this.align) {
-      case 'left':
-        leftSpace = 0;
-        break;
-      case 'right':
-        leftSpace = extraSpaceH;
-        break;
-      default:
-        leftSpace = extraSpaceH / 2;
-    }
 
-    var x = this.paddingLeft() + leftSpace;
-    this.children.forEach((child, i) =>
-      {
-        if (i > 0) {
-          x += this.spacing;
-        }
+/**
+ * Values of DOT attributes that `fromDot` understands, for those attributes
+ * that take one of a fixed set of values.
+ */
+const DOT_VALUES = {
+  'arrowhead': ['normal', 'vee', 'open', 'diamond', 'odiamond', 'dot', 'odot', 'tee', 'crow', 'none'],
+  'arrowtail': ['normal', 'vee', 'open', 'diamond', 'odiamond', 'dot', 'odot', 'tee', 'crow', 'none'],
+  'dir': ['forward', 'back', 'both', 'none'],
+  'rankdir': ['TB', 'LR', 'BT', 'RL'],
+  'shape': ['box', 'rect', 'rectangle', 'square', 'plaintext', 'plain', 'none', 'ellipse', 'oval', 'circle', 'cylinder'],
+  'style': ['solid', 'dashed', 'dotted', 'bold', 'filled', 'rounded'],
+};
 
-        var extraSpaceV;
-        if (this.height === undefined) {
-          extraSpaceV = contentHeight - child.height;
-        } else {
-          extraSpaceV = this.height - this.paddingTop() - this.paddingBottom() - child.height;
-        }
 
-        var topSpace;
-        switch (this.valign) {
-          case 'top':
-            topSpace = 0;
-            break;
-          case 'bottom':
-            topSpace = extraSpaceV;
-            break;
-          default:
-            topSpace = extraSpaceV / 2;
-        }
+/**
+ * DOT attributes whose values are numbers.
+ */
+const DOT_NUMBERS = ['fontsize', 'height', 'nodesep', 'penwidth', 'ranksep', 'width'];
 
-        child.dx = x;
-        child.dy = this.paddingTop() + topSpace;
 
-        x += child.width;
+/**
+ * DiaScript markers for DOT arrowheads.
+ */
+const DOT_MARKERS = {
+  'normal': 'arrow',
+  'vee': 'open-arrow',
+  'open': 'open-arrow',
+  'diamond': 'filled-diamond',
+  'odiamond': 'diamond',
+  'dot': 'filled-circle',
+  'odot': 'circle',
+  'tee': 'bar',
+  'crow': 'many',
+  'none': null,
+};
 
-      });
 
-    this.width = this.width || (x +  this.paddingRight());
-    this.height = this.height || (contentHeight + this.paddingTop() + this.paddingBottom());
+/**
+ * DiaScript ports for DOT compass points.
+ */
+const DOT_PORTS = {
+  'n': 'top', 'ne': 'top-right', 'e': 'right', 'se': 'bottom-right',
+  's': 'bottom', 'sw': 'bottom-left', 'w': 'left', 'nw': 'top-left',
+};
 
-  }
 
-}
+/**
+ * Points per inch, the unit of DOT sizes.
+ */
+const DOT_INCH = 72;
 
 
-class Ellipse extends Shape {
+/**
+ * Reads Graphviz DOT graphs.  See `fromDot`.
+ */
+class DotParser extends TokenParser {
+
+  constructor(source) {
+    super(tokenize(source, DOT_TOKEN_PATTERNS));
+    this.nodes = new Map();
+    this.edges = [];
+    this.graphAttrs = {};
+    this.defaults = { node: {}, edge: {} };
+    this.warnings = [];
+  }
 
-  constructor(props, child) {
-    super(props);
-    this.width = this.width || 60;
-    this.height = this.height || this.width;
-    this.fill = this.fill || 'white';
-    this.stroke = this.stroke || 'black';
-    this['stroke-width'] = this['stroke-width'] || 1;
-    if (typeof(child) === 'string') {
-      this.child = new Text({}, child);
-    } else if (child) {
-      this.child = child;
-    }
+  warn(token, message) {
+    importWarning(this.warnings, token.line, message);
   }
 
-  svgAttrs() {
-    const result = select(this, ['fill', 'stroke', 'stroke-dasharray', 'stroke-width']);
-    result.rx = this.width / 2;
-    result.ry = this.height / 2;
-    result.cx = this.x + result.rx;
-    result.cy = this.y + result.ry;
-    result.shapeRendering = 'geometricPrecision';
-    return result;
+  /**
+   * Returns whether the next token is the given keyword, which DOT matches
+   * regardless of case.
+   */
+  atKeyword(keyword) {
+    return this.at('word') && this.peek().value.toLowerCase() === keyword;
   }
 
-  layout() {
-    if (this.child) {
-      this.child.layout();
-      this.child.dx = (this.width - this.child.width) / 2;
-      this.child.dy = (this.height - this.child.height) / 2;
-    }
+  atId() {
+    return this.at('word') || this.at('string') || this.at('html');
   }
 
-  render(x, y) {
-    this.x = x;
-    this.y = y;
-    var result = [['ellipse', this.svgAttrs()]];
-    if (this.child) {
-      result = result.concat(this.child.render(x + this.child.dx, y + this.child.dy));
+  /**
+   * Reads an ID, which may be a word, a number, a quoted string, or an HTML
+   * string, of which only the text is kept.
+   */
+  id() {
+    if (!this.atId()) {
+      this.fail(this.peek(), 'expected an ID');
     }
-    return result;
+    const token = this.next();
+    if (token.type === 'string') {
+      return token.value.slice(1, -1).replace(/\\"/g, '"');
+    } else if (token.type === 'html') {
+      this.warn(token, 'HTML labels are not supported; only their text is imported');
+      return token.value.slice(1, -1).replace(/<[^>]*>/g, '');
+    }
+    return token.value;
   }
 
-}
-
-
+  parse() {
+    if (this.atKeyword('strict')) {
+      this.next();
+    }
+    if (!this.atKeyword('digraph') && !this.atKeyword('graph')) {
+      this.fail(this.peek(), "expected 'digraph' or 'graph'");
+    }
+    this.directed = this.next().value.toLowerCase() === 'digraph';
+    if (this.atId()) {
+      this.id();
+    }
+    this.expect('punctuation', '{', "'{'");
+    this.statements();
+    this.expect('punctuation', '}', "'}'");
+    this.expect('end', undefined, 'end of input');
+    return this.diagram();
+  }
 
-class Database extends Shape {
+  statements() {
+    while (!this.at('punctuation', '}') && !this.at('end')) {
+      this.statement();
+      if (this.at('punctuation', ';') || this.at('punctuation', ',')) {
+        this.next();
+      }
+    }
+  }
 
-  constructor(props, child) {
-    super(props);
-    this.width = this.width || 60;
-    this.height = this.height || this.width;
-    this.fill = this.fill || 'white';
-    this.stroke = this.stroke || 'black';
-    this['stroke-width'] = this['stroke-width'] || 1;
-    if (typeof(child) === 'string') {
-      this.child = new Text({}, child);
-    } else if (child) {
-      this.child = child;
+  statement() {
+    const token = this.peek();
+    if (this.atKeyword('subgraph') || this.at('punctuation', '{')) {
+      this.subgraph();
+      if (this.at('arrow')) {
+        throw parseError(token.line, token.column, 'subgraphs at the ends of edges are not supported');
+      }
+    } else if ((this.atKeyword('graph') || this.atKeyword('node') || this.atKeyword('edge')) && this.peek(1).value === '[') {
+      const kind = this.next().value.toLowerCase();
+      const attrs = this.attrList(kind);
+      Object.assign(kind === 'graph' ? this.graphAttrs : this.defaults[kind], attrs);
+    } else if (this.peek(1).value === '=') {
+      Object.assign(this.graphAttrs, this.attr('graph'));
+    } else {
+      const ends = [this.nodeId()];
+      while (this.at('arrow')) {
+        const arrow = this.next();
+        if (arrow.value !== (this.directed ? '->' : '--')) {
+          throw parseError(arrow.line, arrow.column, `'${arrow.value}' can't be used in a ${this.directed ? 'digraph' : 'graph'}`);
+        }
+        if (this.atKeyword('subgraph') || this.at('punctuation', '{')) {
+          const next = this.peek();
+          throw parseError(next.line, next.column, 'subgraphs at the ends of edges are not supported');
+        }
+        ends.push(this.nodeId());
+      }
+      const attrs = this.attrList(ends.length > 1 ? 'edge' : 'node');
+      ends.forEach((end, i) => this.node(end.id, i === 0 && ends.length === 1 ? attrs : {}));
+      for (var i = 1; i < ends.length; i++) {
+        this.edges.push({ from: ends[i - 1], to: ends[i], attrs: Object.assign({}, this.defaults.edge, attrs) });
+      }
     }
   }
 
-  svgAttrs() {
-    const result = select(this, ['fill', 'stroke', 'stroke-dasharray', 'stroke-width']);
-    const dy = this.width / 4;
-    const [ x0, x1 ] = [ this.x, this.x + this.width ];
-    const [ y0, y1, y2, y3, y4 ] = [ this.y, this.y + dy, this.y + 2 * dy, this.y + this.height - dy, this.y + this.height ];
-    result.d = `M${x0} ${y1} L${x0} ${y3} C${x0} ${y4} ${x1} ${y4} ${x1} ${y3} L${x1} ${y1} C${x1} ${y0} ${x0} ${y0} ${x0} ${y1} C${x0} ${y2} ${x1} ${y2} ${x1} ${y1}`;
-    result.shapeRendering = 'geometricPrecision';
-    return result;
+  /**
+   * Reads a subgraph, whose contents are imported as if they were in the
+   * enclosing graph, but with their own defaults.
+   */
+  subgraph() {
+    const token = this.peek();
+    if (this.atKeyword('subgraph')) {
+      this.next();
+      if (this.atId()) {
+        this.id();
+      }
+    }
+    this.warn(token, 'subgraphs are not supported; their contents are imported without them');
+    const [defaults, graphAttrs] = [this.defaults, this.graphAttrs];
+    this.defaults = { node: Object.assign({}, defaults.node), edge: Object.assign({}, defaults.edge) };
+    this.graphAttrs = {};
+    this.expect('punctuation', '{', "'{'");
+    this.statements();
+    this.expect('punctuation', '}', "'}'");
+    [this.defaults, this.graphAttrs] = [defaults, graphAttrs];
   }
 
-  layout() {
-    if (this.child) {
-      this.child.layout();
-      this.child.dx = (this.width - this.child.width) / 2;
-      this.child.dy = (this.height - this.child.height) / 2;
+  /**
+   * Adds the node with the given ID, with the current node defaults, if it
+   * hasn't been seen, and sets the given attributes on it.
+   */
+  node(id, attrs) {
+    if (!this.nodes.has(id)) {
+      this.nodes.set(id, Object.assign({}, this.defaults.node));
     }
+    Object.assign(this.nodes.get(id), attrs);
   }
 
-  render(x, y) {
-    this.x = x;
-    this.y = y;
-    var result = [['path', this.svgAttrs()]];
-    if (this.child) {
-      result = result.concat(this.child.render(x + this.child.dx, y + this.child.dy));
+  /**
+   * Reads a node ID, optionally followed by a port, returning an object
+   * with the `id` and the DiaScript `port`, if any.
+   */
+  nodeId() {
+    const result = { id: this.id() };
+    if (this.at('punctuation', ':')) {
+      this.next();
+      const token = this.peek();
+      var name = this.id();
+      if (this.at('punctuation', ':')) {
+        this.next();
+        name = this.id();
+      }
+      if (DOT_PORTS[name]) {
+        result.port = DOT_PORTS[name];
+      } else if (name !== 'c' && name !== '_') {
+        this.warn(token, `port '${name}' is not supported`);
+      }
     }
     return result;
   }
 
-}
-
-//       x0   x1  x2
-//          +---+         y0
-//          |   |         y1
-//          +---+         y2
-//            |
-//        ----+----       y3
-//            |
-//            +           y4
-//           / \
-//          /   \         y5
-//
-class User extends Shape {
-
-  constructor(props, child) {
-    super(props);
-    this.height = this.height || 80;
-    this.fill = this.fill || 'white';
-    this.stroke = this.stroke || 'black';
-    this['stroke-width'] = this['stroke-width'] || 1;
+  /**
+   * Reads any number of bracketed attribute lists, returning the supported
+   * attributes for the given kind of statement.
+   */
+  attrList(kind) {
+    const attrs = {};
+    while (this.at('punctuation', '[')) {
+      this.next();
+      while (!this.at('punctuation', ']')) {
+        Object.assign(attrs, this.attr(kind));
+        if (this.at('punctuation', ',') || this.at('punctuation', ';')) {
+          this.next();
+        }
+      }
+      this.next();
+    }
+    return attrs;
   }
 
-  svgAttrs() {
-    const result = select(this, ['fill', 'stroke', 'stroke-dasharray', 'stroke-width']);
-    const hr = this.height * 0.15; // head radius
-    const dy = this.width / 4;
-    const [ x0, x1, x2 ] = [ this.x, this.x + this.width / 2, this.x + this.width ];
-    const [ y0, y1, y2, y3, y4, y5] = [
-      this.y,
-      this.y + hr,
-      this.y + 2 * hr,
-      this.y + this.height * 0.4,
-      this.y + this.height - 2 * hr,
-      this.y + this.height
-    ];
-    result.d = `M${x1} ${y2}
-    A ${hr} ${hr} 0 1 1 ${x1} ${y0}
-    A ${hr} ${hr} 0 0 1 ${x1} ${y2}
-    L ${x1} ${y4}
-    M ${x0} ${y3}
-    L ${x2} ${y3}
-    M ${x0} ${y5}
-    L ${x1} ${y4}
-    L ${x2} ${y5}
-    `;
-    //L${x0} ${y3} C${x0} ${y4} ${x1} ${y4} ${x1} ${y3} L${x1} ${y1} C${x1} ${y0} ${x0} ${y0} ${x0} ${y1} C${x0} ${y2} ${x1} ${y2} ${x1} ${y1}`;
-    result.shapeRendering = 'geometricPrecision';
-    return result;
+  /**
+   * Reads an attribute as `name=value`, returning an object holding it if
+   * it's supported for the given kind of statement, and otherwise warning
+   * and returning an empty object.
+   */
+  attr(kind) {
+    const token = this.peek();
+    const name = this.id();
+    this.expect('punctuation', '=', "'='");
+    const value = this.id();
+    if (!DOT_ATTRIBUTES[kind].includes(name)) {
+      this.warn(token, `${kind} attribute '${name}' is not supported`);
+      return {};
+    } else if (DOT_NUMBERS.includes(name) && isNaN(Number(value))) {
+      this.warn(token, `${kind} attribute '${name}' must be a number`);
+      return {};
+    }
+    if (DOT_VALUES[name]) {
+      value.split(',').map(v => v.trim()).forEach(v =>
+        {
+          if (!DOT_VALUES[name].includes(v)) {
+            this.warn(token, `${name} '${v}' is not supported; ${name === 'shape' ? 'a box' : 'the default'} is used instead`);
+          }
+        });
+    }
+    return { [name]: value };
   }
 
-  layout() {
-    this.width = this.height * 0.5;
+  diagram() {
+    const shapes = [...this.nodes].map(([id, attrs]) => dotShape(id, attrs));
+    const lines = this.edges.map(edge => this.line(edge));
+    const options = {};
+    if (DOT_VALUES.rankdir.includes(this.graphAttrs.rankdir)) {
+      options.direction = this.graphAttrs.rankdir;
+    }
+    if (this.graphAttrs.ranksep !== undefined) {
+      options.rank_spacing = Number(this.graphAttrs.ranksep) * DOT_INCH;
+    }
+    if (this.graphAttrs.nodesep !== undefined) {
+      options.node_spacing = Number(this.graphAttrs.nodesep) * DOT_INCH;
+    }
+    return importedDiagram(shapes, lines, options, this.warnings);
   }
 
-  render(x, y) {
-    this.x = x;
-    this.y = y;
-    return [['path', this.svgAttrs()]];
+  /**
+   * Returns the line for an edge.
+   */
+  line(edge) {
+    const attrs = edge.attrs;
+    const props = Object.assign({ from: edge.from.id, to: edge.to.id }, dotStrokeProps(attrs));
+    const dir = attrs.dir || (this.directed ? 'forward' : 'none');
+    const marker = name => name in DOT_MARKERS ? DOT_MARKERS[name] : 'arrow';
+    if ((dir === 'forward' || dir === 'both') && marker(attrs.arrowhead)) {
+      props.to_marker = marker(attrs.arrowhead);
+    }
+    if ((dir === 'back' || dir === 'both') && marker(attrs.arrowtail)) {
+      props.from_marker = marker(attrs.arrowtail);
+    }
+    const fromPort = edge.from.port || DOT_PORTS[attrs.tailport];
+    const toPort = edge.to.port || DOT_PORTS[attrs.headport];
+    if (fromPort) {
+      props.from_port = fromPort;
+    }
+    if (toPort) {
+      props.to_port = toPort;
+    }
+    [['label', 'label'], ['taillabel', 'from_label'], ['headlabel', 'to_label']].forEach(([name, prop]) =>
+      {
+        if (attrs[name] !== undefined) {
+          props[prop] = dotLabel(attrs[name], '', attrs);
+        }
+      });
+    return new Line(props);
   }
 
 }
 
 
-//--- Lines -----------------------------------------------------------------------------
-
-
 /**
- * Returns the array [fromPoint, toPoint] representing the closest two
- * connection points from fromShape and toShape.
+ * Returns the props for the outline of a DOT node or edge.
  */
-function findConnectionPoints(fromShape, toShape) {
-  const fromPoints = fromShape.connectionPoints();
-  const toPoints = toShape.connectionPoints();
-  const pairs = [];
-  fromPoints.forEach(fp =>
-    {
-      toPoints.forEach(tp =>
-        {
-          pairs.push([ fp, tp, distance(fp, tp) ]);
-        })
-    });
-  let fromPoint, toPoint, dist = 1000000;
-  pairs.forEach(([fp, tp, d]) =>
-    {
-      if (d < dist) {
-        dist = d;
-        fromPoint = fp;
-        toPoint = tp;
-      }
-    });
-  return [fromPoint, toPoint];
+function dotStrokeProps(attrs) {
+  const props = {};
+  const styles = (attrs.style || '').split(',').map(style => style.trim());
+  if (attrs.color !== undefined) {
+    props.stroke = attrs.color;
+  }
+  if (attrs.penwidth !== undefined) {
+    props.stroke_width = Number(attrs.penwidth);
+  } else if (styles.includes('bold')) {
+    props.stroke_width = 2;
+  }
+  if (styles.includes('dashed')) {
+    props.stroke_dasharray = '4';
+  } else if (styles.includes('dotted')) {
+    props.stroke_dasharray = '1 2';
+  }
+  return props;
 }
 
 
-class Line {
-
-  constructor(props) {
-    for (const k in props) {
-      this[k.replace('_', '-')] = props[k];
-    }
-    this.stroke = this.stroke || 'black';
+/**
+ * Returns text for a DOT label, in which `\N` stands for the node ID and
+ * `\n`, `\l`, and `\r` end lines.
+ */
+function dotLabel(label, id, attrs) {
+  const props = {};
+  if (attrs.fontcolor !== undefined) {
+    props.fill = attrs.fontcolor;
   }
-
-  svgAttrs() {
-    return select(this, ['stroke', 'stroke-width', 'stroke-dasharray']);
+  if (attrs.fontname !== undefined) {
+    props.font_family = attrs.fontname;
   }
-
-  renderMarker(markerId, thisPoint, otherPoint) {
-    const [x1, y1] = thisPoint;
-    const [x0, y0] = otherPoint;
-    if (markerId) {
-      const marker = markers[markerId];
-      if (!marker) {
-        console.warn('No such marker', markerId, this);
-      } else {
-        const d = distance(thisPoint, otherPoint);
-        const markerPoint = [x1, y1, (x0 - x1) / d, (y0 - y1) / d];
-        return marker.render(markerPoint);
-      }
-    }
+  if (attrs.fontsize !== undefined) {
+    props.font_size = Number(attrs.fontsize);
   }
+  const text = label.replace(/\\N/g, id).replace(/\\[nlr]/g, '\n').replace(/\n$/, '');
+  return new Text(props, text);
+}
 
-  render(diagram) {
-    if (this.from === undefined) {
-      console.warn("Line is missing 'from' attribute", this);
-    } else if (this.to === undefined) {
-      console.warn("Line is missing 'to' attribute", this);
-    } else {
-      const fromShape = diagram.shapeById(this.from);
-      const toShape = diagram.shapeById(this.to);
-      if (!fromShape) {
-        console.warn(`Can't find line's 'from' shape ${this.from}`, this);
-      } else if (!toShape) {
-        console.warn(`Can't find line's 'to' shape ${this.to}`, this);
-      } else {
 
-        const [fromPoint, toPoint] = findConnectionPoints(fromShape, toShape);
-        const [x0, y0] = fromPoint;
-        const [x1, y1] = toPoint;
+/**
+ * Returns the shape for a DOT node.  Boxes fit their labels, while ellipses,
+ * circles, and cylinders have a fixed size, set by the `width` and `height`
+ * attributes in inches.
+ */
+function dotShape(id, attrs) {
+  const props = Object.assign({ id: id }, dotStrokeProps(attrs));
+  const styles = (attrs.style || '').split(',').map(style => style.trim());
+  if (styles.includes('filled')) {
+    props.fill = attrs.fillcolor || attrs.color || 'lightgrey';
+  }
+  const label = dotLabel(attrs.label === undefined ? '\\N' : attrs.label, id, attrs);
+  const [width, height] = [attrs.width, attrs.height].map(size => size === undefined ? undefined : Number(size) * DOT_INCH);
+  switch (attrs.shape || 'ellipse') {
+    case 'ellipse':
+    case 'oval':
+      return new Ellipse(Object.assign({ width: width || 100, height: height || 50 }, props), label);
+    case 'circle':
+      return new Ellipse(Object.assign({ width: width || height || 60, height: width || height || 60 }, props), label);
+    case 'cylinder':
+      return new Database(Object.assign({ width: width || 80, height: height || 60 }, props), label);
+    case 'plaintext':
+    case 'plain':
+    case 'none':
+      return importedBox(Object.assign(props, { stroke_width: 0 }), label);
+    default:
+      if (styles.includes('rounded')) {
+        props.rx = 5;
+      }
+      return importedBox(props, label);
+  }
+}
 
-        const attrs = this.svgAttrs();
-        attrs.d = `M${x0},${y0} L${x1},${y1}`;
 
-        return [
-          ['path', attrs],
-          this.renderMarker(this['from-marker'], fromPoint, toPoint),
-          this.renderMarker(this['to-marker'], toPoint, fromPoint),
-        ];
+/**
+ * Node shapes of Mermaid flowcharts, as the brackets around a node's label,
+ * the DiaScript shape used to draw them, any box corner radius, and whether
+ * that shape is a fair likeness.  Longer brackets come first, so they take
+ * precedence over shorter ones.
+ */
+const MERMAID_SHAPES = [
+  { open: '([', close: '])', name: 'stadium', shape: 'box', rx: 20, supported: true },
+  { open: '[[', close: ']]', name: 'subroutine', shape: 'box' },
+  { open: '[(', close: ')]', name: 'cylinder', shape: 'db', supported: true },
+  { open: '((', close: '))', name: 'circle', shape: 'circle', supported: true },
+  { open: '{{', close: '}}', name: 'hexagon', shape: 'box' },
+  { open: '[/', close: '/]', name: 'parallelogram', shape: 'box' },
+  { open: '[\\', close: '\\]', name: 'parallelogram', shape: 'box' },
+  { open: '[/', close: '\\]', name: 'trapezoid', shape: 'box' },
+  { open: '[\\', close: '/]', name: 'trapezoid', shape: 'box' },
+  { open: '>', close: ']', name: 'asymmetric', shape: 'box' },
+  { open: '(', close: ')', name: 'rounded', shape: 'box', rx: 5, supported: true },
+  { open: '[', close: ']', name: 'rectangle', shape: 'box', supported: true },
+  { open: '{', close: '}', name: 'rhombus', shape: 'box' },
+];
 
-      }
-    }
-  }
 
-}
+/**
+ * DiaScript markers for the ends of Mermaid links.
+ */
+const MERMAID_MARKERS = {
+  '<': 'arrow',
+  '>': 'arrow',
+  'o': 'circle',
+};
 
 
-//--- Markers -----------------------------------------------------------------------------
+/**
+ * Mermaid statements that `fromMermaid` doesn't support.
+ */
+const MERMAID_UNSUPPORTED = ['classDef', 'class', 'style', 'linkStyle', 'click', 'direction', 'accTitle', 'accDescr'];
 
 
 /**
- * A marker is a shape that is drawn at the end of a line.
- *
+ * Reads Mermaid flowcharts.  See `fromMermaid`.  Mermaid is read a line at
+ * a time, with regular expressions, since its syntax depends on context too
+ * much to split into tokens first.
  */
-class Marker extends Graphic {
+class MermaidParser {
+
+  constructor(source) {
+    this.source = source;
+    this.nodes = new Map();
+    this.lines = [];
+    this.warnings = [];
+    this.subgraphs = 0;
+  }
 
-  constructor(props) {
-    super(props);
+  warn(message) {
+    importWarning(this.warnings, this.lineNumber, message);
   }
 
   /**
-   * Returns a pseudo-SVG element representing the marker at the given point.
-   *
-   * `point` is a four-element array in the form `[x, y, nx, ny]`, where (x,y)
-   * is the tip of the marker touching the shape, and (nx,ny) is a normal
-   * normal vector in the direction of the connecting line.
-   *
-   * This implementation delegates to a member `path()` to return the value
-   * of a `d` element for a path that draws the marker.  This method should
-   * render the marker with the tip at the origin and the marker drawn along
-   * the positive x-axis.
+   * Throws an error for a problem at the current position, after any
+   * whitespace.
    */
-  render(point) {
+  fail(message) {
+    throw parseError(this.lineNumber, this.text.slice(this.pos).search(/\S|$/) + this.pos + 1, message);
+  }
 
-    let [x, y, nx, ny] = point;
+  parse() {
+    const lines = this.source.split('\n');
+    var options;
+    var frontMatter = false;
+    lines.forEach((text, i) =>
+      {
+        this.lineNumber = i + 1;
+        this.text = text.replace(/;\s*$/, '');
+        this.pos = this.text.search(/\S|$/);
+        const statement = this.text.trim();
+        if (statement === '---' && !options) {
+          frontMatter = !frontMatter;
+          if (frontMatter) {
+            this.warn('front matter is not supported');
+          }
+        } else if (frontMatter || statement === '' || statement.startsWith('%%')) {
+          return;
+        } else if (!options) {
+          const header = /^(?:flowchart|graph)(?:\s+(TB|TD|BT|LR|RL))?$/i.exec(statement);
+          if (!header) {
+            this.fail("expected 'flowchart' followed by an optional direction such as 'LR'");
+          }
+          const direction = (header[1] || 'TB').toUpperCase();
+          options = { direction: direction === 'TD' ? 'TB' : direction };
+        } else {
+          this.statement(statement);
+        }
+      });
+    if (!options) {
+      this.fail("expected 'flowchart'");
+    }
+    const shapes = [...this.nodes].map(([id, node]) => mermaidShape(id, node));
+    return importedDiagram(shapes, this.lines, options, this.warnings);
+  }
 
-    let attrs = select(this, ['fill', 'stroke', 'stroke-width']);
-    attrs.d = this.path();
-    attrs.transform = `matrix(${nx}, ${ny}, ${-ny}, ${nx}, ${x}, ${y})`;
-    return ['path', attrs];
+  statement(statement) {
+    const keyword = statement.split(/\s/)[0];
+    if (keyword === 'subgraph') {
+      this.subgraphs++;
+      this.warn('subgraphs are not supported; their contents are imported without them');
+    } else if (keyword === 'end' && this.subgraphs > 0) {
+      this.subgraphs--;
+    } else if (MERMAID_UNSUPPORTED.includes(keyword)) {
+      this.warn(`'${keyword}' statements are not supported`);
+    } else {
+      this.chain();
+    }
+  }
 
-    // Rotating the Marker
-    //
-    // The code above rotates the marker based on the normal vector (nx,ny)
-    // via the matrix transform.
-    //
-    // The standard rotation matrix looks like this:
-    //
-    //   cos θ   - sin θ
-    //   sin θ     cos θ
-    //
-    // We know that sin θ = y / h and cos θ = x / h and that for unit vectors
-    // h = 1, therefore the rotation matrix is:
-    //
-    //   x    -y
-    //   y     x
-    //
-    // The matrix transform is defined in terms of the variables a-f representing
-    // the following transform
-    //
-    //   a   c   e
-    //   b   d   f
-    //   0   0   1
-    //
-    // In this form, a-d represent the rotation about the origin and (e,f)
-    // represents a translation.  So if we start by rendering the arrow at the
-    // origin we can rotate it and translate it to the final position in one neat
-    // matrix operation:
-    //
-    //    nx   -ny    x
-    //    ny    nx    y
-    //    0     0     1
-    //
-    // or in terms of the matrix transform:
-    //
-    // matrix(nx, ny, -ny, nx, x, y)
-    //
+  /**
+   * Matches the sticky regular expression `pattern` at the current position,
+   * skipping whitespace first, and moves past the match.
+   */
+  match(pattern) {
+    const start = this.text.slice(this.pos).search(/\S|$/) + this.pos;
+    pattern.lastIndex = start;
+    const result = pattern.exec(this.text);
+    if (result) {
+      this.pos = pattern.lastIndex;
+    }
+    return result;
+  }
+
+  /**
+   * Reads nodes joined by links, such as `A & B --> C -->|yes| D`.
+   */
+  chain() {
+    var group = this.nodeGroup();
+    while (this.text.slice(this.pos).trim() !== '') {
+      const props = this.link();
+      const next = this.nodeGroup();
+      if (props) {
+        group.forEach(from => next.forEach(to => this.lines.push(new Line(Object.assign({ from: from, to: to }, props)))));
+      }
+      group = next;
+    }
+  }
+
+  /**
+   * Reads one or more nodes separated by `&`, returning their IDs.
+   */
+  nodeGroup() {
+    const result = [this.node()];
+    while (this.match(/&/y)) {
+      result.push(this.node());
+    }
+    return result;
+  }
 
+  /**
+   * Reads a node ID, optionally followed by a label in brackets giving its
+   * shape, and returns the ID.
+   */
+  node() {
+    const id = this.match(/[\w$]+(?:-(?![->.=])[\w$]+)*/y);
+    if (!id) {
+      this.fail('expected a node ID');
+    }
+    if (!this.nodes.has(id[0])) {
+      this.nodes.set(id[0], { label: id[0], shape: MERMAID_SHAPES.find(shape => shape.name === 'rectangle') });
+    }
+    const node = this.nodes.get(id[0]);
+    const rest = this.text.slice(this.pos);
+    for (const shape of MERMAID_SHAPES) {
+      if (!rest.startsWith(shape.open)) {
+        continue;
+      }
+      var start = shape.open.length;
+      if (rest[start] === '"') {
+        start = rest.indexOf('"', start + 1) + 1;
+        if (start === 0) {
+          this.fail('expected a closing quote');
+        }
+      }
+      const end = rest.indexOf(shape.close, start);
+      if (end >= 0) {
+        node.label = mermaidText(rest.slice(shape.open.length, end));
+        node.shape = shape;
+        this.pos += end + shape.close.length;
+        if (!shape.supported) {
+          this.warn(`${shape.name} nodes are not supported; '${id[0]}' is drawn as a box`);
+        }
+        break;
+      }
+    }
+    if (this.match(/:::[\w-]+/y)) {
+      this.warn(`classes are not supported; '${id[0]}' is drawn without its class`);
+    }
+    return id[0];
+  }
 
+  /**
+   * Reads a link, returning the props of the lines it draws, or null for an
+   * invisible link.
+   */
+  link() {
+    if (this.match(/~~~+/y)) {
+      this.warn('invisible links are not supported; the nodes are imported without a line');
+      return null;
+    }
+    var label;
+    var link = this.match(/([<ox]?)(--|==|-\.)\s+(.+?)\s+(-{2,}|={2,}|\.+-)([>ox]?)/y);
+    if (link) {
+      label = link[3];
+      link = [link[0], link[1], link[2] + link[4], link[5]];
+    } else {
+      link = this.match(/([<ox]?)(-{2,}|={2,}|-\.+-)([>ox]?)/y);
+      if (!link) {
+        this.fail("expected a link such as '-->'");
+      }
+      const text = this.match(/\|([^|]*)\|/y);
+      label = text ? text[1] : undefined;
+    }
+    const [, start, body, end] = link;
+    const props = {};
+    if (body.includes('.')) {
+      props.stroke_dasharray = '4';
+    } else if (body.startsWith('=')) {
+      props.stroke_width = 2;
+    }
+    if (MERMAID_MARKERS[start]) {
+      props.from_marker = MERMAID_MARKERS[start];
+    }
+    if (MERMAID_MARKERS[end]) {
+      props.to_marker = MERMAID_MARKERS[end];
+    }
+    if (start === 'x' || end === 'x') {
+      this.warn('cross markers are not supported; the line is drawn without them');
+    }
+    if (label !== undefined && label.trim() !== '') {
+      props.label = mermaidText(label.trim());
+    }
+    return props;
   }
 
 }
 
 
-class Arrow extends Marker {
+/**
+ * Returns the text of a Mermaid label, without quotes or Markdown backticks
+ * and with `<br>` tags as line breaks.
+ */
+function mermaidText(label) {
+  return label.trim()
+    .replace(/^"(.*)"$/s, '$1')
+    .replace(/^`(.*)`$/s, '$1')
+    .replace(/\s*<br\s*\/?>\s*/gi, '\n');
+}
 
-  constructor(props) {
-    super(props);
-    this.length = this.length || 12;
-    this.width = this.width || 8;
+
+/**
+ * Returns the shape for a Mermaid node.
+ */
+function mermaidShape(id, node) {
+  const label = new Text({}, node.label);
+  switch (node.shape.shape) {
+    case 'db':
+      return new Database({ id: id, width: 80, height: 60 }, label);
+    case 'circle':
+      return new Ellipse({ id: id, width: 60, height: 60 }, label);
+    default:
+      return importedBox(node.shape.rx ? { id: id, rx: node.shape.rx } : { id: id }, label);
   }
+}
 
 
-  // See https://dragonman225.js.org/curved-arrows.html
+//--- Public API -----------------------------------------------------------------------------
 
-  path() {
-    return `M0 0 L${this.length} ${this.width / 2} L${this.length} ${-this.width / 2}`;
-  }
+export function diagram(shapes, lines, options) {
+  return new Diagram(shapes, lines, options);
+}
 
+/**
+ * Creates a diagram from source in DiaScript's text format, for example:
+ *
+ *     diagram direction=LR
+ *     user alice
+ *     box web "Web server" fill=#eef
+ *     vbox backend padding=10 stroke_width=1 {
+ *       "Backend"
+ *       box api
+ *       db orders "Orders"
+ *     }
+ *     alice -> web : browses
+ *     web -> api -> orders
+ *
+ * Each statement is on its own line or ends with a semicolon.  A shape is
+ * declared with a keyword ('box', 'vbox', 'hbox', 'grid', 'circle',
+ * 'ellipse', 'db', 'user', or 'text'), an optional ID, an optional quoted
+ * label, and properties as `key=value`, named as in the factory functions.
+ * A box, circle, ellipse, or db with an ID but no label shows its ID.  Boxes
+ * contain the shapes declared in braces after them, and a quoted string on
+ * its own declares text.  A line is written as two or more shape IDs, each
+ * optionally followed by a colon and a port, separated by '->', '<-', '<->',
+ * or '--', with optional properties and a label after a colon.  Shapes
+ * named by lines but not declared are created as boxes.  `diagram` sets
+ * options of the diagram, whose layout is 'layered' unless given as 'none'.
+ * Comments start with `//`.
+ *
+ * Throws an error giving the line and column of the first problem found,
+ * which are also the error's `line` and `column` properties.
+ */
+export function parse(source) {
+  return new Parser(source).parse();
 }
 
+/**
+ * Creates a diagram from a Graphviz DOT `digraph` or `graph`, laid out with
+ * the layered layout.  Nodes become boxes, ellipses, or db cylinders
+ * according to their `shape`, and edges become lines with markers for their
+ * `arrowhead` and `arrowtail`.  Reads the node attributes `color`,
+ * `fillcolor`, `fontcolor`, `fontname`, `fontsize`, `height`, `label`,
+ * `penwidth`, `shape`, `style`, and `width`; the edge attributes
+ * `arrowhead`, `arrowtail`, `color`, `dir`, the font attributes,
+ * `headlabel`, `headport`, `label`, `penwidth`, `style`, `taillabel`, and
+ * `tailport`; and the graph attributes `nodesep`, `rankdir`, and `ranksep`.
+ *
+ * Anything else, such as other attributes and subgraphs, is reported on the
+ * console and in the `warnings` property of the diagram, an array of
+ * messages that each start with the line of the source it's about.  Throws
+ * an error giving the line and column of a syntax error, as `parse` does.
+ */
+export function fromDot(source) {
+  return new DotParser(source).parse();
+}
 
 /**
- * Global registry of markers.
+ * Creates a diagram from a Mermaid `flowchart` (or `graph`), laid out with
+ * the layered layout in the flowchart's direction.  Rectangular nodes become
+ * boxes, which are rounded for `(...)` and `([...])`, `((...))` becomes a
+ * circle, and `[(...)]` a db cylinder.  Links become lines, dashed for
+ * `-.->`, thick for `==>`, and with arrow or circle markers, and with labels
+ * given as `-->|label|` or `-- label -->`.
+ *
+ * Anything else, such as other node shapes, subgraphs, and styles, is
+ * reported as for `fromDot`.
  */
-const markers = {
-  'arrow': new Arrow({ fill: 'black' }),
+export function fromMermaid(source) {
+  return new MermaidParser(source).parse();
+}
+
+/**
+ * Creates a diagram from the JSON format written by `Diagram.toJSON`, given
+ * either as a string or as parsed data.  Throws an error listing every
+ * problem found, each with the path to the offending value, if the data is
+ * not a valid diagram.  The error's `errors` property holds the problems as
+ * objects with `path` and `message` properties.
+ */
+export function fromJSON(json) {
+  if (typeof(json) === 'string') {
+    json = JSON.parse(json);
+  }
+  const errors = validateDiagramJSON(json);
+  if (errors.length) {
+    const error = new Error(`Invalid diagram JSON:\n${errors.map(e => `  ${e.path}: ${e.message}`).join('\n')}`);
+    error.errors = errors;
+    throw error;
+  }
+  return new Diagram(json.shapes.map(shapeFromJSON), (json.lines || []).map(lineFromJSON), json.options);
 }
 
+export function domMeasurer() {
+  return new DomMeasurer();
+}
 
-//--- Public API -----------------------------------------------------------------------------
+export function fontMetricsMeasurer() {
+  return new FontMetricsMeasurer();
+}
 
-export function diagram(shapes, lines) {
-  return new Diagram(shapes, lines);
+/**
+ * Sets the measurer used to lay out text in diagrams that don't specify
+ * their own.  Pass null to go back to choosing one based on the environment.
+ */
+export function setMeasurer(m) {
+  measurer = m;
 }
 
 export function text(props, text) {
@@ -1037,6 +6786,10 @@ export function hbox(props, ...children) {
   return new Hbox(props, ...children);
 }
 
+export function grid(props, ...children) {
+  return new Grid(props, ...children);
+}
+
 export function circle(props, child) {
   return new Ellipse(props, child);
 }
@@ -1056,3 +6809,13 @@ export function line(props) {
 export function user(props) {
   return new User(props);
 }
+
+/**
+ * Makes `marker` available to lines under the given name, e.g. as
+ * `line({ to_marker: name })`.  Replaces any existing marker of that name.
+ */
+export function registerMarker(name, marker) {
+  markers[name] = marker;
+}
+
+export { Marker };
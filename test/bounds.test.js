@@ -0,0 +1,57 @@
+// Tests of bounds() and shrinkWrapAttrs().
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diagram, vbox, line, fontMetricsMeasurer, setMeasurer } from '../diascript.js';
+
+setMeasurer(fontMetricsMeasurer());
+
+
+test('bounds include the stroke of shapes', () =>
+  {
+    const d = diagram([vbox({ x: 10, y: 10, width: 40, height: 20, stroke_width: 2 })], []);
+    assert.deepEqual(d.bounds(), { x: 9, y: 9, width: 42, height: 22 });
+  });
+
+test('bounds include lines and their labels', () =>
+  {
+    const d = diagram([
+      vbox({ id: 'a', x: 0, y: 0, width: 20, height: 20 }),
+      vbox({ id: 'b', x: 100, y: 0, width: 20, height: 20 })
+    ], [
+      line({ from: 'a', to: 'b', to_marker: 'arrow', label: 'hello' })
+    ]);
+    const bounds = d.bounds();
+    assert.equal(bounds.x, 0);
+    assert.equal(bounds.x + bounds.width, 120);
+    assert.ok(bounds.y < 0, 'the label sits above the shapes');
+  });
+
+test('bounds are null when nothing is drawn', () =>
+  {
+    assert.equal(diagram([], []).bounds(), null);
+  });
+
+test('bounds follow the latest rendering', () =>
+  {
+    const a = vbox({ x: 0, y: 0, width: 20, height: 20 });
+    const d = diagram([a], []);
+    assert.equal(d.bounds().width, 20);
+    a.width = 50;
+    d.render();
+    assert.equal(d.bounds().width, 50);
+  });
+
+test('shrinkWrapAttrs pads the bounds and centers them in the aspect ratio', () =>
+  {
+    const d = diagram([vbox({ x: 10, y: 10, width: 40, height: 20, stroke_width: 2 })], []);
+    assert.deepEqual(d.shrinkWrapAttrs({ padding: 0 }), { width: 42, height: 22, viewBox: '9 9 42 22' });
+    assert.deepEqual(d.shrinkWrapAttrs({ aspect_ratio: 2 }), { width: 84, height: 42, viewBox: '-12 -1 84 42' });
+    assert.deepEqual(diagram([], []).shrinkWrapAttrs(), {});
+  });
+
+test('bounds leave out the stroke of unstroked elements', () =>
+  {
+    const d = diagram([vbox({ x: 0, y: 0, width: 20, height: 20, stroke: 'none', stroke_width: 4 })], []);
+    assert.deepEqual(d.bounds(), { x: 0, y: 0, width: 20, height: 20 });
+  });
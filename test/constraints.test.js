@@ -0,0 +1,96 @@
+// Tests of the constraint helpers: sameRow, sameColumn, distribute and
+// alignEdges.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diagram, vbox, grid, line, fontMetricsMeasurer, setMeasurer } from '../diascript.js';
+
+setMeasurer(fontMetricsMeasurer());
+
+
+/**
+ * Returns a box of the given size.
+ */
+function box(id, x, y, width, height) {
+  return vbox({ id: id, x: x, y: y, width: width, height: height });
+}
+
+
+/**
+ * Renders `d` and returns the `[x, y]` position of each of its shapes.
+ */
+function positions(d) {
+  d.toSvgString();
+  return d.shapes.map(shape => [shape.x, shape.y]);
+}
+
+
+test('sameRow lines up the centers of shapes with the first', () =>
+  {
+    const d = diagram([box('a', 0, 0, 40, 40), box('b', 100, 50, 20, 20)], []).sameRow(['a', 'b']);
+    assert.deepEqual(positions(d), [[0, 0], [100, 10]]);
+  });
+
+test('sameColumn lines up the centers of shapes with the first', () =>
+  {
+    const d = diagram([box('a', 0, 0, 40, 40), box('b', 50, 100, 20, 20)], []).sameColumn(['a', 'b']);
+    assert.deepEqual(positions(d), [[0, 0], [10, 100]]);
+  });
+
+test('distribute spaces shapes evenly between the first and last', () =>
+  {
+    const d = diagram([
+      box('a', 0, 0, 20, 20),
+      box('b', 30, 0, 20, 20),
+      box('c', 200, 0, 20, 20)
+    ], []).distribute(['a', 'b', 'c']);
+    assert.deepEqual(positions(d), [[0, 0], [100, 0], [200, 0]]);
+  });
+
+test('distribute with spacing places each shape after the one before', () =>
+  {
+    const d = diagram([
+      box('a', 0, 0, 20, 20),
+      box('b', 0, 90, 20, 30),
+      box('c', 0, 5, 20, 20)
+    ], []).distribute(['a', 'b', 'c'], { axis: 'y', spacing: 10 });
+    assert.deepEqual(positions(d), [[0, 0], [0, 30], [0, 70]]);
+  });
+
+test('alignEdges lines up the given edge of shapes with the first', () =>
+  {
+    const d = diagram([box('a', 0, 10, 40, 40), box('b', 100, 80, 20, 20)], []).alignEdges(['a', 'b'], { edge: 'bottom' });
+    assert.deepEqual(positions(d), [[0, 10], [100, 30]]);
+  });
+
+test('constraints move the children of the shapes they move', () =>
+  {
+    const inner = box('inner', undefined, undefined, 10, 10);
+    const outer = vbox({ id: 'outer', x: 100, y: 80, padding: 5 }, inner);
+    const d = diagram([box('a', 0, 0, 40, 40), outer], []).alignEdges(['a', 'outer'], { edge: 'top' });
+    d.toSvgString();
+    assert.deepEqual([outer.y, inner.y], [0, 5]);
+  });
+
+test('shapes positioned relative to a constrained shape follow it', () =>
+  {
+    const d = diagram([
+      box('a', 0, 0, 40, 40),
+      box('b', 100, 100, 20, 20),
+      vbox({ id: 'c', below: 'b', gap: 10, width: 20, height: 20 })
+    ], []).sameRow(['a', 'b']);
+    assert.deepEqual(positions(d), [[0, 0], [100, 10], [100, 40]]);
+  });
+
+test('a relatively positioned, constrained grid can have lines attached', () =>
+  {
+    const g = grid({ id: 'g', right_of: 'a', gap: 20, columns: 2 },
+      box('p', undefined, undefined, 20, 20),
+      box('q', undefined, undefined, 20, 20),
+      box('r', undefined, undefined, 20, 20));
+    const d = diagram([box('a', 0, 0, 40, 100), g], [line({ from: 'a', to: 'g' })]).sameRow(['a', 'g']);
+    const svg = d.toSvgString();
+    assert.deepEqual([g.x, g.y], [60, 30]);
+    assert.deepEqual([g.shapeById('r').x, g.shapeById('r').y], [60, 50]);
+    assert.match(svg, /d="M40,50 L60,50"/);
+  });
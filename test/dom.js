@@ -0,0 +1,133 @@
+// A minimal DOM, just enough for rendering diagrams into an element and
+// updating them outside a browser.  Importing this module installs
+// `document` and `Node` as globals.
+
+
+/**
+ * Node with children.
+ */
+class FakeNode {
+
+  constructor(nodeType) {
+    this.nodeType = nodeType;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  get nextSibling() {
+    const siblings = this.parentNode ? this.parentNode.childNodes : [];
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  insertBefore(node, ref) {
+    if (node.parentNode) {
+      node.parentNode.removeChild(node);
+    }
+    const i = ref ? this.childNodes.indexOf(ref) : this.childNodes.length;
+    this.childNodes.splice(i, 0, node);
+    node.parentNode = this;
+    return node;
+  }
+
+  removeChild(node) {
+    this.childNodes.splice(this.childNodes.indexOf(node), 1);
+    node.parentNode = null;
+    return node;
+  }
+
+  replaceChild(node, old) {
+    this.insertBefore(node, old);
+    return this.removeChild(old);
+  }
+
+}
+
+
+/**
+ * Text node.
+ */
+class FakeText extends FakeNode {
+
+  constructor(data) {
+    super(3);
+    this.data = data;
+  }
+
+}
+
+
+/**
+ * Element with attributes and event listeners.  `dispatch` calls the
+ * listeners for an event on this element and, if the event bubbles, on
+ * each of its ancestors.
+ */
+class FakeElement extends FakeNode {
+
+  constructor(tagName) {
+    super(1);
+    this.tagName = tagName;
+    this.attributes = new Map();
+    this.listeners = [];
+  }
+
+  setAttribute(k, v) {
+    this.attributes.set(k, String(v));
+  }
+
+  getAttribute(k) {
+    return this.attributes.has(k) ? this.attributes.get(k) : null;
+  }
+
+  removeAttribute(k) {
+    this.attributes.delete(k);
+  }
+
+  getAttributeNames() {
+    return [...this.attributes.keys()];
+  }
+
+  addEventListener(type, listener) {
+    this.listeners.push({ type: type, listener: listener });
+  }
+
+  dispatch(type, bubbles) {
+    const event = { type: type, target: this };
+    for (let el = this; el; el = bubbles ? el.parentNode : null) {
+      event.currentTarget = el;
+      el.listeners.filter(l => l.type === type).forEach(l => l.listener(event));
+    }
+  }
+
+  /**
+   * Returns the descendant of this element with the given `data-id`.
+   */
+  find(id) {
+    for (const child of this.childNodes) {
+      const found = child.nodeType === 1 && (child.getAttribute('data-id') === id ? child : child.find(id));
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  }
+
+}
+
+
+globalThis.Node = { ELEMENT_NODE: 1, TEXT_NODE: 3 };
+globalThis.document = {
+  createElementNS: (ns, tagName) => new FakeElement(tagName),
+  createTextNode: data => new FakeText(data)
+};
+
+
+/**
+ * Returns a new, empty `svg` element.
+ */
+export function svgElement() {
+  return new FakeElement('svg');
+}
@@ -0,0 +1,41 @@
+// Tests of the event handler props of shapes and lines.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { svgElement } from './dom.js';
+import { diagram, vbox, line, fontMetricsMeasurer, setMeasurer } from '../diascript.js';
+
+setMeasurer(fontMetricsMeasurer());
+
+
+test('handlers are called with the shape or line and the event', () =>
+  {
+    const calls = [];
+    const handler = (graphic, event) => calls.push([graphic.id, event.type]);
+    const svg = svgElement();
+    diagram([
+      vbox({ id: 'a', x: 0, y: 0, width: 20, height: 20, on_click: handler, on_hover: handler }),
+      vbox({ id: 'b', x: 100, y: 0, width: 20, height: 20 })
+    ], [
+      line({ id: 'ab', from: 'a', to: 'b', on_dblclick: handler })
+    ]).renderInto(svg);
+    svg.find('a').dispatch('click', true);
+    svg.find('a').dispatch('mouseenter', false);
+    svg.find('ab').dispatch('dblclick', true);
+    assert.deepEqual(calls, [['a', 'click'], ['a', 'mouseenter'], ['ab', 'dblclick']]);
+  });
+
+test('only the innermost shape with a handler sees an event', () =>
+  {
+    const calls = [];
+    const handler = shape => calls.push(shape.id);
+    const svg = svgElement();
+    diagram([
+      vbox({ id: 'outer', x: 0, y: 0, on_click: handler },
+        vbox({ id: 'middle' },
+          vbox({ id: 'inner', width: 20, height: 20, on_click: handler })))
+    ], []).renderInto(svg);
+    svg.find('inner').dispatch('click', true);
+    svg.find('middle').dispatch('click', true);
+    assert.deepEqual(calls, ['inner', 'outer']);
+  });
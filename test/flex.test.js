@@ -0,0 +1,46 @@
+// Tests of grow, stretch, margin and justify in Vbox and Hbox.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diagram, vbox, hbox, fontMetricsMeasurer, setMeasurer } from '../diascript.js';
+
+setMeasurer(fontMetricsMeasurer());
+
+
+/**
+ * Renders a diagram of `box` and returns the `[id, x, y, width, height]` of
+ * each child.
+ */
+function children(box) {
+  diagram([box], []).toSvgString();
+  return box.children.map(child => [child.id, child.x, child.y, child.width, child.height]);
+}
+
+
+test('hbox children share the extra width by grow, and stretch to its height', () =>
+  {
+    const h = hbox({ x: 0, y: 0, width: 100, height: 50, valign: 'stretch' },
+      vbox({ id: 'p', width: 20 }),
+      vbox({ id: 'q', grow: 1 }),
+      vbox({ id: 'r', grow: 3, margin: 5 }));
+    assert.deepEqual(children(h), [['p', 0, 0, 20, 50], ['q', 20, 0, 17.5, 50], ['r', 42.5, 5, 52.5, 40]]);
+  });
+
+test('vbox children share the extra height by grow, and stretch to its width', () =>
+  {
+    const v = vbox({ x: 0, y: 0, width: 50, height: 100, align: 'stretch' },
+      vbox({ id: 'p', height: 20 }),
+      vbox({ id: 'q', grow: 1 }),
+      vbox({ id: 'r', grow: 3, margin: 5 }));
+    assert.deepEqual(children(v), [['p', 0, 0, 50, 20], ['q', 0, 20, 50, 17.5], ['r', 5, 42.5, 40, 52.5]]);
+  });
+
+test('justify spreads the space left over between or around the children', () =>
+  {
+    const make = justify => hbox({ x: 0, y: 0, width: 100, height: 10, justify: justify },
+      vbox({ id: 'p', width: 10, height: 10 }),
+      vbox({ id: 'q', width: 10, height: 10 }),
+      vbox({ id: 'r', width: 20, height: 10 }));
+    assert.deepEqual(children(make('space-between')).map(child => child[1]), [0, 40, 80]);
+    assert.deepEqual(children(make('space-around')).map(child => child[1]), [10, 40, 70]);
+  });
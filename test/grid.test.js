@@ -0,0 +1,52 @@
+// Tests of the grid container.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diagram, vbox, grid, fontMetricsMeasurer, setMeasurer } from '../diascript.js';
+
+setMeasurer(fontMetricsMeasurer());
+
+
+/**
+ * Returns a box of the given size with the given props.
+ */
+function box(id, width, height, props) {
+  return vbox(Object.assign({ id: id, width: width, height: height }, props));
+}
+
+
+/**
+ * Renders a diagram of `g` and returns the `[id, x, y]` of each child.
+ */
+function cells(g) {
+  diagram([g], []).toSvgString();
+  return g.children.map(child => [child.id, child.x, child.y]);
+}
+
+
+test('columns share the widest width and rows the tallest height', () =>
+  {
+    const g = grid({ x: 0, y: 0, columns: 2, spacing: 10, padding: 5 },
+      box('a', 20, 10), box('b', 40, 20),
+      box('c', 30, 30), box('d', 10, 10));
+    assert.deepEqual(cells(g), [['a', 10, 10], ['b', 45, 5], ['c', 5, 35], ['d', 60, 45]]);
+    assert.deepEqual([g.width, g.height], [90, 70]);
+  });
+
+test('children span columns and rows, and cells can override alignment', () =>
+  {
+    const g = grid({ x: 0, y: 0, columns: 3, column_spacing: 4, row_spacing: 2, align: 'left', valign: 'top' },
+      box('a', 20, 10, { colspan: 2 }), box('b', 10, 30, { rowspan: 2 }),
+      box('c', 10, 10), box('d', 6, 10, { cell_align: 'right' }),
+      box('e', 10, 10), box('f', 10, 10));
+    assert.deepEqual(cells(g), [['a', 0, 0], ['b', 28, 0], ['c', 0, 16], ['d', 18, 16], ['e', 0, 32], ['f', 14, 32]]);
+    assert.deepEqual([g.width, g.height], [38, 42]);
+  });
+
+test('a grid lays out the same when rendered again', () =>
+  {
+    const g = grid({ x: 0, y: 0, columns: 2 }, box('a', 20, 10), box('b', 10, 20), box('c', 10, 10));
+    const d = diagram([g], []);
+    const svg = d.toSvgString();
+    assert.equal(d.toSvgString(), svg);
+  });
@@ -0,0 +1,30 @@
+// Helpers shared by the tests.
+
+import assert from 'node:assert/strict';
+
+
+/**
+ * Returns the error thrown by `f`, failing the test if it doesn't throw.
+ */
+export function thrown(f) {
+  try {
+    f();
+  } catch (e) {
+    return e;
+  }
+  assert.fail('expected an error');
+}
+
+
+/**
+ * Calls `f` with console.warn silenced, returning its result.
+ */
+export function quietly(f) {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return f();
+  } finally {
+    console.warn = warn;
+  }
+}
@@ -0,0 +1,68 @@
+// Tests of fromDot() and fromMermaid().
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fromDot, fromMermaid, fontMetricsMeasurer, setMeasurer } from '../diascript.js';
+import { thrown, quietly } from './helpers.js';
+
+setMeasurer(fontMetricsMeasurer());
+
+
+test('fromDot reports the line and column of syntax errors', () =>
+  {
+    const cases = [
+      ['foo {}', 1, 1, `expected 'digraph' or 'graph' but found "foo"`],
+      ['digraph {\n  a -- b\n}', 2, 5, "'--' can't be used in a digraph"],
+      ['graph { a -> b }', 1, 11, "'->' can't be used in a graph"],
+      ['digraph { a -> }', 1, 16, 'expected an ID but found "}"'],
+      ['digraph { a -> {b c} }', 1, 16, 'subgraphs at the ends of edges are not supported']
+    ];
+    for (const [source, line, column, message] of cases) {
+      const error = thrown(() => fromDot(source));
+      assert.equal(error.line, line, source);
+      assert.equal(error.column, column, source);
+      assert.equal(error.message, `Line ${line}, column ${column}: ${message}`);
+    }
+  });
+
+test('fromDot reports what it can\'t import', () =>
+  {
+    const d = quietly(() => fromDot('digraph {\n  a [shape=star]\n  subgraph cluster_0 { b -> c }\n}'));
+    assert.equal(d.warnings.length, 2);
+    assert.match(d.warnings[0], /^Line 2: .*star.*a box is used instead/);
+    assert.match(d.warnings[1], /^Line 3: /);
+    assert.deepEqual(d.shapes.map(shape => shape.id), ['a', 'b', 'c']);
+  });
+
+test('fromMermaid reports the line and column of syntax errors', () =>
+  {
+    const cases = [
+      ['', 1, 1, "expected 'flowchart'"],
+      ['A-->B', 1, 1, "expected 'flowchart' followed by an optional direction such as 'LR'"],
+      ['flowchart\nA -> B', 2, 3, "expected a link such as '-->'"],
+      ['flowchart\n--> B', 2, 1, 'expected a node ID']
+    ];
+    for (const [source, line, column, message] of cases) {
+      const error = thrown(() => fromMermaid(source));
+      assert.equal(error.line, line, source);
+      assert.equal(error.column, column, source);
+      assert.equal(error.message, `Line ${line}, column ${column}: ${message}`);
+    }
+  });
+
+test('fromMermaid reports what it can\'t import', () =>
+  {
+    const source = [
+      'flowchart LR',
+      '  A[Start] --> B[/para/]',
+      '  A ~~~ B',
+      '  classDef hot fill:#f00'
+    ].join('\n');
+    const d = quietly(() => fromMermaid(source));
+    assert.deepEqual(d.warnings, [
+      "Line 2: parallelogram nodes are not supported; 'B' is drawn as a box",
+      'Line 3: invisible links are not supported; the nodes are imported without a line',
+      "Line 4: 'classDef' statements are not supported"
+    ]);
+    assert.equal(d.lines.length, 1);
+  });
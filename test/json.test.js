@@ -0,0 +1,68 @@
+// Tests of toJSON() and fromJSON().
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  diagram, fromJSON, vbox, hbox, grid, db, ellipse, user, text, line, fontMetricsMeasurer, setMeasurer
+} from '../diascript.js';
+import { thrown } from './helpers.js';
+
+setMeasurer(fontMetricsMeasurer());
+
+
+test('fromJSON(toJSON()) round trips a diagram', () =>
+  {
+    const make = () => diagram([
+      vbox({ id: 'a', x: 10, y: 10, stroke_width: 2, padding: [4, 8] },
+        'Hello', hbox({}, text({ font_weight: 'bold' }, 'x'), 'y')),
+      db({ id: 'b', right_of: 'a', dx: 40 }, 'DB'),
+      grid({ id: 'g', x: 10, y: 200, columns: 2 }, 'a', 'b', 'c'),
+      ellipse({ id: 'e', below: 'g' }),
+      user({ id: 'u', x: 300, y: 10 })
+    ], [
+      line({ from: 'a', to: 'b:left', label: 'reads', to_marker: 'arrow' })
+    ]);
+    const d = make();
+    const json = JSON.stringify(d.toJSON());
+    const copy = fromJSON(json);
+    assert.equal(JSON.stringify(copy.toJSON()), json);
+    assert.equal(copy.toSvgString(), make().toSvgString());
+  });
+
+test('fromJSON reports the path of each problem', () =>
+  {
+    const error = thrown(() => fromJSON({
+      version: 1,
+      shapes: [{ type: 'vbox', props: { x: '1' }, children: [{ type: 'vbx' }, { type: 'user', children: [{ type: 'text', text: 'a' }] }] }],
+      lines: [{ type: 'line', props: { from: 'a' } }]
+    }));
+    assert.deepEqual(error.errors, [
+      { path: '$.shapes[0].props.x', message: 'must be a number' },
+      { path: '$.shapes[0].children[0].type', message: 'unknown shape type "vbx"' },
+      { path: '$.shapes[0].children[1].children', message: "a user can't have children" },
+      { path: '$.lines[0].props.to', message: 'is required' }
+    ]);
+    assert.deepEqual(thrown(() => fromJSON(null)).errors, [{ path: '$', message: 'must be an object' }]);
+  });
+
+test('toJSON keeps the props each graphic was given, not those computed by layout', () =>
+  {
+    const d = diagram([
+      vbox({ id: 'a', x: 0, y: 0, width: 50 }, 'A'),
+      vbox({ id: 'b' }, 'B')
+    ], [
+      line({ from: 'a', to: 'b' })
+    ], { layout: 'layered' });
+    d.toSvgString();
+    d.shapes[1].height = 70;
+    const [a, b] = d.toJSON().shapes.map(shape => shape.props);
+    assert.deepEqual([a.x, a.y, a.width, a.height], [0, 0, 50, undefined]);
+    assert.deepEqual([b.x, b.y, b.width, b.height], [undefined, undefined, undefined, 70]);
+  });
+
+test('every underscore in a prop name becomes a dash, and back', () =>
+  {
+    const shape = vbox({ id: 'a', x: 0, y: 0, border_top_left: 1 });
+    assert.equal(shape['border-top-left'], 1);
+    assert.equal(diagram([shape], []).toJSON().shapes[0].props.border_top_left, 1);
+  });
@@ -0,0 +1,79 @@
+// Tests of the automatic layouts.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diagram, vbox, line, fontMetricsMeasurer, setMeasurer } from '../diascript.js';
+
+setMeasurer(fontMetricsMeasurer());
+
+
+/**
+ * Returns a diamond-shaped graph, a -> b, a -> c, b -> d, c -> d, laid out
+ * with the given options, and rendered.
+ */
+function diamond(options, shapeProps) {
+  const shapes = ['a', 'b', 'c', 'd'].map(id => vbox(Object.assign({ id: id, width: 40, height: 20 }, shapeProps && shapeProps[id])));
+  const lines = [['a', 'b'], ['a', 'c'], ['b', 'd'], ['c', 'd']].map(([from, to]) => line({ from: from, to: to }));
+  const d = diagram(shapes, lines, options);
+  d.toSvgString();
+  return d;
+}
+
+
+/**
+ * Returns the `[x, y]` position of each shape of `d`.
+ */
+function positions(d) {
+  return d.shapes.map(shape => [shape.x, shape.y]);
+}
+
+
+/**
+ * Returns true if no two shapes of `d` overlap.
+ */
+function noOverlaps(d) {
+  return d.shapes.every((s, i) => d.shapes.slice(i + 1).every(t =>
+    s.x + s.width <= t.x || t.x + t.width <= s.x || s.y + s.height <= t.y || t.y + t.height <= s.y));
+}
+
+
+//--- Layered ---
+
+test('the layered layout places each shape in the rank after those it follows', () =>
+  {
+    assert.deepEqual(positions(diamond({ layout: 'layered' })), [[35, 0], [0, 70], [70, 70], [35, 140]]);
+    assert.deepEqual(positions(diamond({ layout: 'layered', direction: 'LR' })), [[0, 25], [90, 0], [90, 50], [180, 25]]);
+  });
+
+test('the layered layout accepts zero spacing', () =>
+  {
+    const d = diamond({ layout: 'layered', rank_spacing: 0, node_spacing: 0 });
+    assert.deepEqual(positions(d), [[20, 0], [0, 20], [40, 20], [20, 40]]);
+  });
+
+test('automatic layouts leave positioned shapes alone', () =>
+  {
+    const d = diamond({ layout: 'layered' }, { a: { x: 500, y: 500 } });
+    assert.deepEqual(positions(d)[0], [500, 500]);
+    assert.ok(noOverlaps(d));
+  });
+
+
+//--- Force ---
+
+test('the force layout is the same for the same seed', () =>
+  {
+    const d = diamond({ layout: 'force' });
+    assert.deepEqual(positions(diamond({ layout: 'force' })), positions(d));
+    assert.notDeepEqual(positions(diamond({ layout: 'force', seed: 2 })), positions(d));
+  });
+
+test('the force layout keeps shapes apart and linked shapes closer', () =>
+  {
+    const d = diamond({ layout: 'force' });
+    const center = shape => [shape.x + shape.width / 2, shape.y + shape.height / 2];
+    const distance = (i, j) => Math.hypot(...center(d.shapes[i]).map((v, k) => v - center(d.shapes[j])[k]));
+    assert.ok(noOverlaps(d));
+    assert.ok(distance(0, 1) < distance(0, 3));
+    assert.ok(distance(1, 3) < distance(1, 2));
+  });
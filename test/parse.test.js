@@ -0,0 +1,39 @@
+// Tests of parse().
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse } from '../diascript.js';
+import { thrown } from './helpers.js';
+
+
+test('parse reports the line and column of syntax errors', () =>
+  {
+    const cases = [
+      ['box a {', 1, 8, "expected '}' but found end of input"],
+      ['a -> ', 1, 6, 'expected a shape ID but found end of input'],
+      ['box a fill', 1, 11, `expected '=' after "fill" but found end of input`],
+      ['"x" @', 1, 5, 'unexpected character "@"'],
+      ['a b', 1, 3, `expected an arrow such as '->' but found "b"`],
+      ['box a\n  box a', 2, 7, 'duplicate ID "a", first declared at line 1, column 5']
+    ];
+    for (const [source, line, column, message] of cases) {
+      const error = thrown(() => parse(source));
+      assert.equal(error.line, line, source);
+      assert.equal(error.column, column, source);
+      assert.equal(error.message, `Line ${line}, column ${column}: ${message}`);
+    }
+  });
+
+test('parse rejects labels and children on shapes that can\'t have them', () =>
+  {
+    assert.equal(thrown(() => parse('user u "x"')).message, "Line 1, column 8: a user can't have a label");
+    assert.equal(thrown(() => parse('db d { }')).message, "Line 1, column 6: a db can't contain other shapes");
+  });
+
+test('parse builds shapes, nested shapes and lines', () =>
+  {
+    const d = parse('box a "A"\nvbox b {\n  "B"; box c\n}\na -> c : uses');
+    assert.deepEqual(d.shapes.map(shape => shape.id), ['a', 'b']);
+    assert.equal(d.shapes[1].children[1].id, 'c');
+    assert.deepEqual(d.lines.map(l => [l.from, l.to, l.label.text]), [['a', 'c', 'uses']]);
+  });
@@ -0,0 +1,107 @@
+// Tests of relative positioning: align_to, right_of, left_of, below, above
+// and the edge alignments.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diagram, vbox, fontMetricsMeasurer, setMeasurer } from '../diascript.js';
+import { quietly } from './helpers.js';
+
+setMeasurer(fontMetricsMeasurer());
+
+
+/**
+ * Returns a box of the given size with the given props.
+ */
+function box(props, width, height) {
+  return vbox(Object.assign({ width: width, height: height }, props));
+}
+
+
+/**
+ * Renders `d` and returns the `[x, y]` position of each of its shapes.
+ */
+function positions(d) {
+  d.toSvgString();
+  return d.shapes.map(shape => [shape.x, shape.y]);
+}
+
+
+test('shapes are placed beside their targets, centered on the other axis', () =>
+  {
+    const d = diagram([
+      box({ id: 'a', x: 100, y: 100 }, 40, 40),
+      box({ id: 'r', right_of: 'a', gap: 10 }, 20, 20),
+      box({ id: 'l', left_of: 'a' }, 20, 20),
+      box({ id: 'b', below: 'a', gap: 5 }, 20, 20),
+      box({ id: 't', above: 'a' }, 20, 20),
+      box({ id: 'c', align_to: 'a' }, 20, 20)
+    ], []);
+    assert.deepEqual(positions(d), [[100, 100], [150, 110], [80, 110], [110, 145], [110, 80], [110, 110]]);
+  });
+
+test('edge alignments line up an edge with the target', () =>
+  {
+    const d = diagram([
+      box({ id: 'a', x: 100, y: 100 }, 40, 40),
+      box({ id: 'tl', right_of: 'a', align_top: 'a' }, 20, 20),
+      box({ id: 'br', below: 'a', align_right: 'a' }, 20, 20),
+      box({ id: 'bl', left_of: 'a', align_bottom: 'a' }, 20, 20),
+      box({ id: 'la', above: 'a', align_left: 'a' }, 20, 20)
+    ], []);
+    assert.deepEqual(positions(d), [[100, 100], [140, 100], [120, 140], [80, 120], [100, 80]]);
+  });
+
+test('dx and dy offset a relative position', () =>
+  {
+    const d = diagram([
+      box({ id: 'a', x: 0, y: 0 }, 40, 40),
+      box({ id: 'b', right_of: 'a', dx: 5, dy: -3 }, 40, 40)
+    ], []);
+    assert.deepEqual(positions(d), [[0, 0], [45, -3]]);
+  });
+
+test('shapes are positioned after the shapes they depend on, whatever their order', () =>
+  {
+    const d = diagram([
+      box({ id: 'c', below: 'b' }, 20, 20),
+      box({ id: 'b', right_of: 'a' }, 20, 20),
+      box({ id: 'a', x: 0, y: 0 }, 20, 20)
+    ], []);
+    assert.deepEqual(positions(d), [[20, 20], [20, 0], [0, 0]]);
+  });
+
+test('shapes can be positioned relative to a nested shape', () =>
+  {
+    const d = diagram([
+      vbox({ id: 'outer', x: 10, y: 10, padding: 5 }, box({ id: 'inner' }, 20, 20)),
+      box({ id: 'b', below: 'inner' }, 20, 20)
+    ], []);
+    assert.deepEqual(positions(d), [[10, 10], [15, 35]]);
+  });
+
+test('shapes positioned relative to each other in a cycle are reported and left out', () =>
+  {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    try {
+      const d = diagram([
+        box({ id: 'a', x: 0, y: 0 }, 20, 20),
+        box({ id: 'b', right_of: 'c' }, 20, 20),
+        box({ id: 'c', below: 'b' }, 20, 20)
+      ], []);
+      const svg = d.toSvgString();
+      assert.doesNotMatch(svg, /data-id="[bc]"/);
+    } finally {
+      console.warn = warn;
+    }
+    assert.equal(warnings.some(message => /cycle: (b -> c -> b|c -> b -> c)/.test(message)), true);
+  });
+
+test('a shape relative to a missing shape is reported and left out', () =>
+  {
+    const d = diagram([box({ id: 'a', x: 0, y: 0 }, 20, 20), box({ id: 'b', below: 'x' }, 20, 20)], []);
+    const svg = quietly(() => d.toSvgString());
+    assert.match(svg, /data-id="a"/);
+    assert.doesNotMatch(svg, /data-id="b"/);
+  });
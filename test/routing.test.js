@@ -0,0 +1,71 @@
+// Tests of line routing, ports and the spreading of line ends.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diagram, vbox, line, fontMetricsMeasurer, setMeasurer } from '../diascript.js';
+
+setMeasurer(fontMetricsMeasurer());
+
+
+/**
+ * Returns a box of the given size.
+ */
+function box(id, x, y, width, height) {
+  return vbox({ id: id, x: x, y: y, width: width, height: height });
+}
+
+
+/**
+ * Renders `d` and returns the path data of each of its lines.
+ */
+function paths(d) {
+  return [...d.toSvgString().matchAll(/<path [^>]*\bd="([^"]*)"/g)].map(match => match[1]);
+}
+
+
+test('orthogonal routes go around shapes in the way', () =>
+  {
+    const d = diagram([
+      box('a', 0, 0, 20, 20),
+      box('o', 50, -20, 20, 60),
+      box('b', 100, 0, 20, 20)
+    ], [
+      line({ from: 'a', to: 'b', route: 'orthogonal' })
+    ]);
+    assert.deepEqual(paths(d), ['M20,10 L40,10 L40,-30 L80,-30 L80,10 L100,10']);
+  });
+
+test('orthogonal routes are straight when nothing is in the way', () =>
+  {
+    const d = diagram([box('a', 0, 0, 20, 20), box('b', 100, 0, 20, 20)], [line({ from: 'a', to: 'b', route: 'orthogonal' })]);
+    assert.deepEqual(paths(d), ['M20,10 L100,10']);
+  });
+
+test('lines that meet the same side of a shape are spread along it', () =>
+  {
+    const d = diagram([
+      box('a', 0, 0, 40, 40),
+      box('b', 100, 0, 40, 40),
+      box('c', 100, 100, 40, 40)
+    ], [
+      line({ from: 'a', to: 'b' }),
+      line({ from: 'a', to: 'c' })
+    ]);
+    const starts = paths(d).map(path => path.match(/^M([-\d.]+),([-\d.]+)/).slice(1).map(Number));
+    assert.deepEqual(starts.map(([x]) => x), [40, 40]);
+    assert.ok(starts[0][1] < 20 && starts[1][1] > 20, `starts ${starts}`);
+  });
+
+test('lines attached to a named port are not spread', () =>
+  {
+    const d = diagram([
+      box('a', 0, 0, 40, 40),
+      box('b', 100, 0, 40, 40),
+      box('c', 100, 100, 40, 40)
+    ], [
+      line({ from: 'a', to: 'b' }),
+      line({ from: 'a', to: 'c', from_port: 'right' }),
+      line({ from: 'a:bottom', to: 'c' })
+    ]);
+    assert.deepEqual(paths(d), ['M40,20 L100,20', 'M40,20 L120,100', 'M20,40 L100,120']);
+  });
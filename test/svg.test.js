@@ -0,0 +1,29 @@
+// Tests of rendering diagrams to SVG strings without a DOM.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diagram, vbox, fontMetricsMeasurer, setMeasurer } from '../diascript.js';
+
+setMeasurer(fontMetricsMeasurer());
+
+
+test('diagrams render to an SVG string without a DOM', () =>
+  {
+    assert.equal(typeof(document), 'undefined');
+    const svg = diagram([vbox({ id: 'a', x: 0, y: 0, width: 20, height: 20 })], []).toSvgString();
+    assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" [^>]*>.*<\/svg>$/);
+    assert.match(svg, /<rect x="0" y="0" width="20" height="20" fill="white" stroke="black" stroke-width="0" shape-rendering="geometricPrecision"\/>/);
+  });
+
+test('text and attribute values are escaped', () =>
+  {
+    const svg = diagram([vbox({ id: 'a<&>', x: 0, y: 0 }, 'a < b & "c"')], []).toSvgString();
+    assert.match(svg, /data-id="a&lt;&amp;&gt;"/);
+    assert.match(svg, />a &lt; b &amp; &quot;c&quot;</);
+  });
+
+test('toSvgString sizes the SVG to fit the diagram', () =>
+  {
+    const svg = diagram([vbox({ x: 10, y: 20, width: 30, height: 40 })], []).toSvgString();
+    assert.match(svg, /^<svg [^>]*width="50" height="60" viewBox="0 10 50 60"/);
+  });
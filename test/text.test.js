@@ -0,0 +1,39 @@
+// Tests of text wrapping and multi-line text.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diagram, vbox, hbox, fontMetricsMeasurer, setMeasurer } from '../diascript.js';
+
+setMeasurer(fontMetricsMeasurer());
+
+
+/**
+ * Renders a diagram of `shape` and returns the text of each line drawn.
+ */
+function lines(shape) {
+  const svg = diagram([shape], []).toSvgString();
+  return [...svg.matchAll(/<tspan[^>]*>([^<]*)/g)].map(match => match[1]);
+}
+
+
+test('text wraps at word boundaries to fit the width of its box', () =>
+  {
+    const v = vbox({ x: 0, y: 0, width: 100 }, 'the quick brown fox jumps over the lazy dog');
+    assert.deepEqual(lines(v), ['the quick', 'brown fox', 'jumps over', 'the lazy dog']);
+  });
+
+test('newlines start new lines', () =>
+  {
+    assert.deepEqual(lines(vbox({ x: 0, y: 0 }, 'line one\nline two')), ['line one', 'line two']);
+  });
+
+test('the text of a box nested in an hbox wraps within its share of the width', () =>
+  {
+    const text = 'the quick brown fox jumps over the lazy dog';
+    const alone = vbox({ x: 0, y: 0 }, text);
+    diagram([alone], []).toSvgString();
+    const inner = vbox({}, text);
+    assert.ok(lines(hbox({ x: 0, y: 0, width: 200 }, inner, vbox({ width: 50 }))).length > 1);
+    assert.ok(alone.width > 100);
+    assert.ok(inner.width <= 100, `width ${inner.width}`);
+  });
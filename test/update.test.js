@@ -0,0 +1,94 @@
+// Tests of renderInto() and update().
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { svgElement } from './dom.js';
+import { diagram, vbox, line, fontMetricsMeasurer, setMeasurer } from '../diascript.js';
+import { quietly } from './helpers.js';
+
+setMeasurer(fontMetricsMeasurer());
+
+
+/**
+ * Returns a box of the given size with the given props.
+ */
+function box(id, x, y, props) {
+  return vbox(Object.assign({ id: id, x: x, y: y, width: 40, height: 40 }, props));
+}
+
+
+/**
+ * Returns the `data-id` of each child of `el`, or its tag if it has none.
+ */
+function ids(el) {
+  return el.childNodes.map(node => node.getAttribute('data-id') || node.tagName);
+}
+
+
+test('update patches the elements of shapes that are kept', () =>
+  {
+    const svg = svgElement();
+    const d = diagram([box('a', 0, 0), box('b', 100, 0)], [line({ id: 'ab', from: 'a', to: 'b' })]).renderInto(svg);
+    const a = svg.find('a');
+    const rect = a.childNodes[0];
+    d.update([box('a', 0, 0, { fill: 'red' }), box('b', 100, 50)]);
+    assert.equal(svg.find('a'), a);
+    assert.equal(a.childNodes[0], rect);
+    assert.equal(rect.getAttribute('fill'), 'red');
+    assert.equal(svg.find('ab').childNodes[0].getAttribute('d'), 'M40,20 L100,70');
+  });
+
+test('update removes, inserts and reorders elements to match the shapes', () =>
+  {
+    const svg = svgElement();
+    const d = diagram([box('a', 0, 0), box('b', 100, 0), box('c', 200, 0)], []).renderInto(svg);
+    const c = svg.find('c');
+    d.update([box('c', 200, 0), box('d', 300, 0), box('a', 0, 0)]);
+    assert.deepEqual(ids(svg), ['c', 'd', 'a']);
+    assert.equal(svg.find('c'), c);
+  });
+
+test('update leaves alone elements that are not part of the diagram', () =>
+  {
+    const svg = svgElement();
+    const before = svg.appendChild(document.createElementNS(null, 'title'));
+    const d = diagram([box('a', 0, 0)], []).renderInto(svg);
+    const after = svg.appendChild(document.createElementNS(null, 'desc'));
+    d.update([box('a', 0, 0), box('b', 100, 0)]);
+    assert.deepEqual(ids(svg), ['title', 'a', 'b', 'desc']);
+    assert.deepEqual([svg.childNodes[0], svg.childNodes[3]], [before, after]);
+  });
+
+test('update keeps layout properties assigned since the last render', () =>
+  {
+    const svg = svgElement();
+    const a = box('a', 0, 0);
+    const b = vbox({ id: 'b', right_of: 'a' }, 'B');
+    const d = diagram([a, b], []).renderInto(svg);
+    a.x = 50;
+    a.width = 60;
+    d.update();
+    assert.equal(svg.find('a').childNodes[0].getAttribute('x'), '50');
+    assert.equal(b.x, 110);
+    delete a.width;
+    d.update();
+    assert.equal(a.width, 0);
+    assert.equal(b.x, 50);
+  });
+
+test('event handlers see the shapes of the latest update', () =>
+  {
+    const svg = svgElement();
+    const clicked = [];
+    const d = diagram([box('a', 0, 0, { on_click: shape => clicked.push(shape.fill) })], []).renderInto(svg);
+    d.update([box('a', 0, 0, { fill: 'red', on_click: shape => clicked.push(shape.fill) })]);
+    svg.find('a').dispatch('click', true);
+    assert.deepEqual(clicked, ['red']);
+  });
+
+test('update warns and does nothing before renderInto', () =>
+  {
+    const d = diagram([box('a', 0, 0)], []);
+    assert.equal(quietly(() => d.update([])), d);
+    assert.deepEqual(d.shapes.map(shape => shape.id), ['a']);
+  });